@@ -1,24 +1,174 @@
 import React, { Component } from "react";
 import Video from "react-native-video";
 import {
-  TouchableWithoutFeedback,
   TouchableHighlight,
+  AccessibilityInfo,
   ImageBackground,
   PanResponder,
+  StyleSheet,
   Animated,
   Easing,
   Image,
+  I18nManager,
   View,
   Text
 } from "react-native";
 import _ from "lodash";
 
-import styles from "./styles";
+import { createStyles } from "./styles";
+import { parseCaptions, findCues } from "./captions";
+import { createAnalyticsQueue, createSessionId } from "./analytics";
+import {
+  parseThumbnails,
+  createSpriteThumbnails,
+  findThumbnail
+} from "./thumbnails";
+
+/**
+ * The bundled icons, each can be swapped out
+ * through the icons prop.
+ */
+const defaultIcons = {
+  back: require("./assets/img/back.png"),
+  volume: require("./assets/img/volume.png"),
+  volumeMuted: require("./assets/img/volume.png"),
+  play: require("./assets/img/play.png"),
+  pause: require("./assets/img/pause.png"),
+  expand: require("./assets/img/expand.png"),
+  shrink: require("./assets/img/shrink.png"),
+  loader: require("./assets/img/loader-icon.png"),
+  error: require("./assets/img/error-icon.png")
+};
+
+/**
+ * Every piece of text the player shows or has read out
+ * by screen readers, can be replaced through the
+ * strings prop. Values in braces are filled in
+ * when the string is used.
+ */
+const defaultStrings = {
+  videoUnavailable: "Video unavailable",
+  retry: "Retry",
+  upNext: "Up next in {seconds}…",
+  cancel: "Cancel",
+  playNow: "Play now",
+  resumeFrom: "Resume from {time}",
+  startOver: "Start over",
+  captionsButton: "CC",
+  rateValue: "{rate}x",
+  remainingTime: "-{time}",
+  timeOfDuration: "{time} / {duration}",
+  seekForwardRipple: "+{seconds}s",
+  seekBackwardRipple: "-{seconds}s",
+  live: "LIVE",
+  behindLive: "-{time} behind live",
+  goLive: "Go to live",
+  loop: "A-B",
+  loopPending: "A-",
+  loopSetStart: "Set loop start",
+  loopSetEnd: "Set loop end",
+  loopClear: "Clear loop",
+  loopStartHandle: "Loop start",
+  loopEndHandle: "Loop end",
+  back: "Back",
+  play: "Play",
+  pause: "Pause",
+  enterFullscreen: "Enter fullscreen",
+  exitFullscreen: "Exit fullscreen",
+  volume: "Volume",
+  mute: "Mute",
+  unmute: "Unmute",
+  volumeValue: "{volume}%",
+  seekbar: "Seek",
+  seekbarValue: "{time} of {duration}",
+  timer: "Time {time}",
+  rate: "Playback speed {rate}x",
+  captions: "Captions",
+  captionLanguage: "Caption language {language}",
+  previousChapter: "Previous chapter",
+  nextChapter: "Next chapter",
+  previousItem: "Previous video",
+  nextItem: "Next video"
+};
+
+/**
+ * The last volume picked in any player, shared so a
+ * new player can carry on at the same volume.
+ */
+let rememberedVolume = null;
+
+/**
+ * Number formatters by locale and digits, building
+ * one is too slow to do on every render.
+ */
+const numberFormats = {};
+
+/**
+ * Modes the timer cycles through when tapped.
+ */
+const timerModes = ["remaining", "elapsed", "total"];
+
+/**
+ * Languages written right to left.
+ */
+const rtlLanguages = ["ar", "arc", "dv", "fa", "he", "ku", "ps", "ur", "yi"];
+
+/**
+ * Default layout of the control bars. Each bar is a list
+ * of controls and groups of controls that get spaced
+ * out along the bar. A seekbar gets a line of its own.
+ */
+const defaultControlsLayout = {
+  top: ["back", ["captions", "rate", "volume", "fullscreen"]],
+  bottom: [
+    "seekbar",
+    ["previousItem", "previousChapter", "playPause", "nextChapter", "nextItem"],
+    "title",
+    "timer"
+  ]
+};
 
 export default class VideoPlayer extends Component {
   static defaultProps = {
     quizPoints: [],
+    chapters: [],
+    captions: [],
+    showCaptions: false,
+    playlist: [],
+    playlistIndex: 0,
+    autoplayNext: true,
+    autoplayNextDelay: 5,
+    resumePrompt: false,
+    resumeSaveInterval: 5000,
+    resumeEndThreshold: 10,
+    analyticsBatchSize: 10,
+    analyticsFlushInterval: 30000,
+    analyticsHeartbeatInterval: 10000,
+    maxRetries: 0,
+    retryDelay: 1000,
+    timerMode: "remaining",
+    showSeekPreview: true,
+    liveScrubbing: false,
+    scrubThrottle: 250,
+    compactVolume: false,
+    rememberVolume: false,
+    volumeStorageKey: "videoPlayerVolume",
+    minLoopLength: 1,
+    dvrWindow: 0,
+    liveEdgeThreshold: 10,
+    accessibilitySeekStep: 10,
+    accessibilityVolumeStep: 0.1,
     toggleResizeModeOnFullscreen: true,
+    gestures: {
+      singleTap: "toggleControls",
+      doubleTap: "toggleFullscreen"
+    },
+    doubleTapSeekTime: 10,
+    doubleTapDelay: 300,
+    volumeSwipe: false,
+    volumeSwipeSensitivity: 1,
+    seekSwipe: false,
+    seekSwipeSensitivity: 120,
     playInBackground: false,
     playWhenInactive: false,
     showOnStart: true,
@@ -27,6 +177,7 @@ export default class VideoPlayer extends Component {
     repeat: false,
     volume: 1,
     muted: false,
+    rates: [0.5, 0.75, 1, 1.25, 1.5, 2],
     title: "",
     rate: 1
   };
@@ -34,7 +185,17 @@ export default class VideoPlayer extends Component {
   constructor(props) {
     super(props);
 
-    const { resizeMode, paused, muted, volume, rate, showOnStart } = props;
+    const {
+      resizeMode,
+      paused,
+      muted,
+      volume,
+      rate,
+      showOnStart,
+      showCaptions,
+      playlistIndex,
+      timerMode
+    } = props;
     this.state = {
       // Video
       resizeMode,
@@ -45,7 +206,10 @@ export default class VideoPlayer extends Component {
 
       // Controls
       isFullscreen: resizeMode === "cover" || false,
-      showTimeRemaining: true,
+      volumeExpanded: false,
+      loopStart: null,
+      loopEnd: null,
+      timerMode: timerModes.indexOf(timerMode) !== -1 ? timerMode : "remaining",
       volumeTrackWidth: 0,
       lastScreenPress: 0,
       volumeFillWidth: 0,
@@ -58,21 +222,87 @@ export default class VideoPlayer extends Component {
       seeking: false,
       loading: false,
       currentTime: 0,
+      playableDuration: 0,
+      buffering: false,
+      retryCount: 0,
       error: false,
-      duration: 0
+      duration: 0,
+      live: false,
+      seekableDuration: 0,
+
+      // Quiz
+      activeQuizPoint: null,
+
+      // Chapters
+      chapterIndex: -1,
+
+      // Resume
+      resumeTime: null,
+
+      // Playlist
+      playlistIndex,
+      upNextCountdown: null,
+
+      // Captions
+      captionsEnabled: showCaptions,
+      showCaptionMenu: false,
+      captionTrack: 0,
+
+      // Gestures
+      seekRippleTime: 0,
+      swipeSeekTime: null
     };
 
+    if (props.controlled) {
+      Object.assign(this.state, this.getControlledState(props));
+    }
+
     /**
      * Player information
      */
     this.player = {
       controlTimeoutDelay: this.props.controlTimeout || 15000,
+      screenPanResponder: PanResponder,
       volumePanResponder: PanResponder,
       seekPanResponder: PanResponder,
+      swipeStartPosition: 0,
+      swipeStartTime: 0,
+      touchStartX: 0,
+      swipeThreshold: 10,
+      swipeMode: null,
       controlTimeout: null,
       volumeWidth: 150,
       iconOffset: 0,
+      captionCues: this.parseCaptionTracks(props.captions),
+      thumbnails: this.parseThumbnailTrack(props.thumbnails),
+      thumbnailSheets: {},
+      scrub: _.throttle(
+        time => this.player.ref.seek(time),
+        props.scrubThrottle
+      ),
+      seekStartTime: 0,
+      unmutedVolume: props.volume > 0 ? props.volume : 1,
+      volumeDragged: false,
+      loopPanResponders: {},
+      loopHandleOffset: 0,
+      playbackMaxDelta: 1,
+      adjustingVolume: false,
+      singleTapTimeout: null,
+      upNextInterval: null,
+      lastResumeSave: 0,
+      retryTimeout: null,
+      retryAttempts: 0,
+      retryTime: 0,
+      lastDoubleTap: null,
+      seekRippleTotal: 0,
+      tapCount: 0,
+      height: 0,
+      width: 0,
+      pageX: 0,
       seekWidth: 0,
+      screenReaderEnabled: false,
+      screenReaderListener: null,
+      container: null,
       ref: Video
     };
 
@@ -95,17 +325,35 @@ export default class VideoPlayer extends Component {
       },
       loader: {
         rotate: new Animated.Value(0),
-        MAX_VALUE: 360
+        MAX_VALUE: 360,
+        running: false
+      },
+      seekRipple: {
+        opacity: new Animated.Value(0)
       }
     };
 
+    /**
+     * Analytics bookkeeping
+     */
+    this.analytics = {
+      sessionId: createSessionId(),
+      heartbeatInterval: null,
+      bufferingStart: null,
+      watchedSeconds: 0,
+      firstFrame: false,
+      pausedChanged: false,
+      quartiles: [],
+      queue: null
+    };
+
     /**
      * Various styles that be added...
      */
-    this.styles = {
+    this.styles = _.assign(createStyles(this.props.theme), {
       videoStyle: this.props.videoStyle || {},
       containerStyle: this.props.style || {}
-    };
+    });
   }
 
   /**
@@ -125,7 +373,7 @@ export default class VideoPlayer extends Component {
   onLoadStart = args => {
     let state = this.state;
     state.loading = true;
-    this.loadAnimation();
+    this.startLoadAnimation();
     this.setState(state);
 
     if (this.props.onLoadStart) {
@@ -144,6 +392,7 @@ export default class VideoPlayer extends Component {
     let state = this.state;
 
     state.duration = data.duration;
+    state.live = !(data.duration > 0) || !isFinite(data.duration);
     state.loading = false;
     this.setState(state);
 
@@ -154,6 +403,26 @@ export default class VideoPlayer extends Component {
     if (this.props.onLoad) {
       this.props.onLoad(data);
     }
+
+    // Autoplay never changes paused so it needs its own play event,
+    // unless paused already changed since this item started
+    if (
+      !state.paused &&
+      !this.analytics.firstFrame &&
+      !this.analytics.pausedChanged
+    ) {
+      this.trackEvent("play");
+    }
+
+    this.player.lastResumeSave = new Date().getTime();
+    this.player.retryAttempts = 0;
+
+    if (this.player.retryTime > 0) {
+      this.seek(this.player.retryTime);
+      this.player.retryTime = 0;
+    } else {
+      this.loadResumePosition();
+    }
   };
 
   /**
@@ -164,7 +433,20 @@ export default class VideoPlayer extends Component {
    */
   onProgress = (data = {}) => {
     let state = this.state;
+    const previousTime = state.currentTime;
     state.currentTime = data.currentTime;
+    state.playableDuration = data.playableDuration || 0;
+    state.seekableDuration = data.seekableDuration || 0;
+
+    // Jump back to A once we pass B
+    if (
+      this.isLooping() &&
+      !state.seeking &&
+      data.currentTime >= state.loopEnd
+    ) {
+      state.currentTime = state.loopStart;
+      this.player.ref.seek(state.loopStart);
+    }
 
     if (!state.seeking) {
       const position = this.calculateSeekerPosition();
@@ -176,20 +458,108 @@ export default class VideoPlayer extends Component {
     }
 
     this.setState(state);
+    this.checkChapter(data.currentTime);
+
+    // Live scrubbing moves playback around, that isn't watching
+    if (!state.seeking) {
+      this.checkQuizPoints(previousTime, data.currentTime);
+      this.trackProgress(previousTime, data.currentTime);
+    }
+
+    if (
+      new Date().getTime() - this.player.lastResumeSave >=
+      this.props.resumeSaveInterval
+    ) {
+      this.saveResumePosition();
+    }
+  };
+
+  /**
+   * When the video ends we let the user know and,
+   * if there's a next playlist item, count
+   * down to playing it.
+   */
+  onEnd = () => {
+    // A loop running to the very end carries on from A
+    if (this.isLooping()) {
+      this.seekTo(this.state.loopStart);
+      return;
+    }
+
+    this.trackQuartile(100);
+
+    if (this.props.onEnd) {
+      this.props.onEnd();
+    }
+
+    if (this.props.autoplayNext && this.getPlaylistItem(1)) {
+      this.startUpNextCountdown();
+    }
+  };
+
+  /**
+   * When the video stalls to buffer we show the
+   * loading icon until it carries on. We also
+   * track the stall and for how long.
+   *
+   * @param {object} data buffer data from the <Video> component
+   */
+  onBuffer = (data = {}) => {
+    const now = new Date().getTime();
+    const { bufferingStart } = this.analytics;
+    const buffering = !!data.isBuffering;
+
+    if (buffering !== this.state.buffering) {
+      this.setState({ buffering }, this.startLoadAnimation);
+
+      if (this.props.onBufferingChange) {
+        this.props.onBufferingChange(buffering);
+      }
+    }
+
+    if (data.isBuffering && bufferingStart === null) {
+      this.analytics.bufferingStart = now;
+      this.trackEvent("bufferingStart");
+    } else if (!data.isBuffering && bufferingStart !== null) {
+      this.analytics.bufferingStart = null;
+      this.trackEvent("bufferingEnd", {
+        bufferingDuration: now - bufferingStart
+      });
+    }
+
+    if (this.props.onBuffer) {
+      this.props.onBuffer(data);
+    }
   };
 
   /**
-   * Set the error state to true which then
-   * changes our renderError function
+   * Retry automatically, backing off exponentially,
+   * while there are retries left. After that we
+   * set the error state which then changes
+   * our renderError function.
    *
    * @param {object} err  Err obj returned from <Video> component
    */
   onError = err => {
+    this.trackEvent("error", { error: err });
+
     if (this.props.onError) {
       this.props.onError(err);
+    }
+
+    const { maxRetries, retryDelay } = this.props;
+    const attempts = this.player.retryAttempts;
+
+    if (attempts < maxRetries) {
+      this.player.retryAttempts = attempts + 1;
+      this.player.retryTimeout = setTimeout(
+        this.retry,
+        retryDelay * Math.pow(2, attempts)
+      );
+      this.setState({ loading: true }, this.startLoadAnimation);
     } else {
       this.setState({
-        error: true,
+        error: err || true,
         loading: false
       });
     }
@@ -198,22 +568,39 @@ export default class VideoPlayer extends Component {
   /**
    * This is a single and double tap listener
    * when the user taps the screen anywhere.
-   * One tap toggles controls, two toggles
-   * fullscreen mode.
+   * What each tap does comes from the gestures
+   * prop. By default one tap toggles controls,
+   * two toggles fullscreen mode. The single tap
+   * is only delayed when a double tap is possible.
+   * Further taps after a double tap seek again
+   * when the double tap action is a seek.
    */
   onScreenTouch = () => {
-    let { lastScreenPress } = this.state;
+    const gestures = this.getGestures();
     const time = new Date().getTime();
+    const doubleTap = this.getDoubleTapAction();
+    const isRepeat =
+      time - this.state.lastScreenPress < this.props.doubleTapDelay &&
+      doubleTap === this.player.lastDoubleTap;
 
-    if (time - lastScreenPress < 300) {
-      this.toggleFullscreen();
-    }
-
-    this.toggleControls();
+    this.player.tapCount = isRepeat ? this.player.tapCount + 1 : 1;
+    this.player.lastDoubleTap = doubleTap;
+    clearTimeout(this.player.singleTapTimeout);
 
     this.setState({
       lastScreenPress: time
     });
+
+    if (!doubleTap) {
+      this.runGestureAction(gestures.singleTap);
+    } else if (this.player.tapCount === 1) {
+      this.player.singleTapTimeout = setTimeout(
+        () => this.runGestureAction(gestures.singleTap),
+        this.props.doubleTapDelay
+      );
+    } else if (this.player.tapCount === 2 || this.isSeekAction(doubleTap)) {
+      this.runGestureAction(doubleTap);
+    }
   };
 
   /**
@@ -231,9 +618,14 @@ export default class VideoPlayer extends Component {
   /**
    * Set a timeout when the controls are shown
    * that hides them after a length of time.
-   * Default is 15s
+   * Default is 15s. Controls stay put while a
+   * screen reader is running so they can
+   * still be reached.
    */
   setControlTimeout = () => {
+    if (this.player.screenReaderEnabled) {
+      return;
+    }
     this.player.controlTimeout = setTimeout(() => {
       this.hideControls();
     }, this.player.controlTimeoutDelay);
@@ -285,10 +677,23 @@ export default class VideoPlayer extends Component {
   };
 
   /**
-   * Loop animation to spin loader icon. If not loading then stop loop.
+   * Start spinning the loader icon unless it's
+   * already spinning.
+   */
+  startLoadAnimation = () => {
+    if (!this.animations.loader.running) {
+      this.loadAnimation();
+    }
+  };
+
+  /**
+   * Loop animation to spin loader icon. If not loading
+   * or buffering then stop loop.
    */
   loadAnimation = () => {
-    if (this.state.loading) {
+    this.animations.loader.running = this.state.loading || this.state.buffering;
+
+    if (this.animations.loader.running) {
       Animated.sequence([
         Animated.timing(this.animations.loader.rotate, {
           toValue: this.animations.loader.MAX_VALUE,
@@ -304,36 +709,16 @@ export default class VideoPlayer extends Component {
     }
   };
 
-  /**
-   * Function to hide the controls. Sets our
-   * state then calls the animation.
-   */
-  hideControls = () => {
-    if (this.mounted) {
-      this.hideControlAnimation();
-      this.setState({
-        showControls: false
-      });
-    }
-  };
-
   /**
    * Function to toggle controls based on
    * current state.
    */
   toggleControls = () => {
-    let state = this.state;
-    state.showControls = !state.showControls;
-
-    if (state.showControls) {
-      this.showControlAnimation();
-      this.setControlTimeout();
+    if (this.state.showControls) {
+      this.hideControls();
     } else {
-      this.hideControlAnimation();
-      this.clearControlTimeout();
+      this.showControls();
     }
-
-    this.setState(state);
   };
 
   /**
@@ -342,224 +727,1892 @@ export default class VideoPlayer extends Component {
    * isFullscreen state.
    */
   toggleFullscreen = () => {
-    let state = this.state;
-
-    state.isFullscreen = !state.isFullscreen;
-
-    if (this.props.toggleResizeModeOnFullscreen) {
-      state.resizeMode = state.isFullscreen ? "cover" : "contain";
-    }
-
-    if (state.isFullscreen) {
-      if (this.props.onEnterFullscreen) {
-        this.props.onEnterFullscreen();
-      }
+    if (this.state.isFullscreen) {
+      this.exitFullscreen();
     } else {
-      if (this.props.onExitFullscreen) {
-        this.props.onExitFullscreen();
-      }
+      this.enterFullscreen();
     }
+  };
 
-    this.setState(state);
+  /**
+   * Show the volume slider in compact mode. It
+   * folds away again with the controls.
+   */
+  expandVolume = () => {
+    this.setState({ volumeExpanded: true });
   };
 
   /**
-   * Toggle playing state on <Video> component
+   * Whether a touch stayed close enough to where
+   * it started to count as a tap.
+   *
+   * @param {object} gestureState the pan responder gesture state
+   * @param {float} slop how far in px a tap may move
+   * @return {bool}
    */
-  togglePlayPause = () => {
-    let state = this.state;
-    state.paused = !state.paused;
+  isTap = (gestureState, slop = 3) =>
+    Math.abs(gestureState.dx) < slop && Math.abs(gestureState.dy) < slop;
 
-    if (state.paused) {
-      if (this.props.onPause) {
-        this.props.onPause();
-      }
-    } else {
-      if (this.props.onPlay) {
-        this.props.onPlay();
-      }
+  /**
+   * Carry on at the volume the user last picked, either
+   * in another player or, with volumeStorage, in
+   * an earlier session of the app.
+   */
+  loadRememberedVolume = () => {
+    const { rememberVolume, controlled, volumeStorage } = this.props;
+    if (!rememberVolume || controlled) {
+      return;
     }
 
-    this.setState(state);
+    if (rememberedVolume) {
+      this.changePlaybackState(rememberedVolume);
+    } else if (volumeStorage) {
+      Promise.resolve(volumeStorage.getItem(this.props.volumeStorageKey))
+        .then(value => {
+          const saved = value ? JSON.parse(value) : null;
+          if (this.mounted && saved && !rememberedVolume) {
+            rememberedVolume = _.pick(saved, ["volume", "muted"]);
+            this.changePlaybackState(rememberedVolume);
+          }
+        })
+        .catch(() => {});
+    }
   };
 
   /**
-   * Toggle between showing time remaining or
-   * video duration in the timer control
+   * Remember the volume and whether we're muted
+   * for the next player.
    */
-  toggleTimer = () => {
-    let state = this.state;
-    state.showTimeRemaining = !state.showTimeRemaining;
-    this.setState(state);
+  saveRememberedVolume = () => {
+    const { rememberVolume, volumeStorage, volumeStorageKey } = this.props;
+    if (!rememberVolume) {
+      return;
+    }
+
+    rememberedVolume = _.pick(this.state, ["volume", "muted"]);
+    if (volumeStorage) {
+      Promise.resolve(
+        volumeStorage.setItem(
+          volumeStorageKey,
+          JSON.stringify(rememberedVolume)
+        )
+      ).catch(() => {});
+    }
   };
 
   /**
-   * The default 'onBack' function pops the navigator
-   * and as such the video player requires a
-   * navigator prop by default.
+   * Toggle playing state on <Video> component
    */
-  onBack = () => {
-    if (this.props.onBack) {
-      this.props.onBack();
+  togglePlayPause = () => {
+    if (this.state.paused) {
+      this.play();
+    } else {
+      this.pause();
     }
   };
 
   /**
-   * Calculate the time to show in the timer area
-   * based on if they want to see time remaining
-   * or duration. Formatted to look as 00:00.
+   * Apply a change to the playback state and fire
+   * the matching change events. In controlled mode
+   * the props own this state so we only fire the
+   * events and wait for the new props.
+   *
+   * @param {object} changes playback state keys and their new values
    */
-  calculateTime = () => {
-    if (this.state.showTimeRemaining) {
-      const time = this.state.duration - this.state.currentTime;
-      return `-${this.formatTime(time)}`;
+  changePlaybackState = (changes = {}) => {
+    const events = {
+      paused: "onPausedChange",
+      volume: "onVolumeChange",
+      muted: "onMutedChange",
+      rate: "onRateChange",
+      isFullscreen: "onFullscreenChange"
+    };
+    const changed = _.pickBy(
+      changes,
+      (value, key) => this.state[key] !== value
+    );
+
+    if (!this.props.controlled) {
+      this.setState(changes);
     }
 
-    return this.formatTime(this.state.currentTime);
+    _.forEach(changed, (value, key) => {
+      if (events[key] && this.props[events[key]]) {
+        this.props[events[key]](value);
+      }
+    });
   };
 
   /**
-   * Format a time string as mm:ss
+   * Build the playback state from props for
+   * controlled mode. Fullscreen drives the
+   * resizeMode the same way the fullscreen
+   * toggle does.
    *
-   * @param {int} time time in milliseconds
-   * @return {string} formatted time string in mm:ss format
+   * @param {object} props the component props
+   * @return {object} playback state
    */
-  formatTime = (time = 0) => {
-    const symbol = this.state.showRemainingTime ? "-" : "";
-    time = Math.min(Math.max(time, 0), this.state.duration);
-
-    const formattedMinutes = _.padStart(Math.floor(time / 60).toFixed(0), 2, 0);
-    const formattedSeconds = _.padStart(Math.floor(time % 60).toFixed(0), 2, 0);
+  getControlledState = props => {
+    const {
+      toggleResizeModeOnFullscreen,
+      resizeMode,
+      fullscreen,
+      paused,
+      volume,
+      muted,
+      rate
+    } = props;
 
-    return `${symbol}${formattedMinutes}:${formattedSeconds}`;
+    return {
+      resizeMode: toggleResizeModeOnFullscreen
+        ? fullscreen
+          ? "cover"
+          : "contain"
+        : resizeMode,
+      isFullscreen: !!fullscreen,
+      paused,
+      volume,
+      muted,
+      rate
+    };
   };
 
   /**
-   * Set the position of the seekbar's components
-   * (both fill and handle) according to the
-   * position supplied.
+   * Pick up prop changes. In controlled mode the
+   * playback props always win over our own state.
    *
-   * @param {float} position position in px of seeker handle}
+   * @param {object} prevProps the props before this update
    */
-  setSeekerPosition = (position = 0) => {
-    let state = this.state;
-    position = this.constrainToSeekerMinMax(position);
+  syncProps = prevProps => {
+    const controlledState = this.getControlledState(this.props);
+    if (this.props.controlled && !_.isMatch(this.state, controlledState)) {
+      this.setState(controlledState);
+    }
 
-    state.seekerFillWidth = position;
-    state.seekerPosition = position;
+    let changed = false;
 
-    if (!state.seeking) {
-      state.seekerOffset = position;
+    if (!_.isEqual(prevProps.theme, this.props.theme)) {
+      _.assign(this.styles, createStyles(this.props.theme));
+      changed = true;
     }
 
-    this.setState(state);
+    if (prevProps.thumbnails !== this.props.thumbnails) {
+      this.player.thumbnails = this.parseThumbnailTrack(this.props.thumbnails);
+      changed = true;
+    }
+
+    if (prevProps.captions !== this.props.captions) {
+      this.player.captionCues = this.parseCaptionTracks(this.props.captions);
+      changed = true;
+      if (this.state.captionTrack >= this.player.captionCues.length) {
+        this.setState({ captionTrack: 0 });
+      }
+    }
+
+    // These live outside of state so render again to show them
+    if (changed) {
+      this.forceUpdate();
+    }
   };
 
   /**
-   * Contrain the location of the seeker to the
-   * min/max value based on how big the
-   * seeker is.
-   *
-   * @param {float} val position of seeker handle in px
-   * @return {float} contrained position of seeker handle in px
+   * Step to the next faster playback rate in the
+   * rates prop, wrapping back around to the
+   * slowest. The rates can be in any order.
    */
-  constrainToSeekerMinMax = (val = 0) => {
-    if (val <= 0) {
-      return 0;
-    }
-    if (val >= this.player.seekerWidth) {
-      return this.player.seekerWidth;
+  toggleRate = () => {
+    const { rate } = this.state;
+    const rates = _.sortBy(this.props.rates);
+
+    if (!rates.length) {
+      return;
     }
-    return val;
+
+    const next = _.find(rates, value => value > rate);
+    this.setRate(next === undefined ? rates[0] : next);
   };
 
   /**
-   * Calculate the position that the seeker should be
-   * at along its track.
+   * Merge the gestures prop over the default
+   * gestures so a partial map only overrides
+   * the taps it mentions.
    *
-   * @return {float} position of seeker handle in px based on currentTime
+   * @return {object} gesture map
    */
-  calculateSeekerPosition = () =>
-    this.player.seekerWidth * (this.state.currentTime / this.state.duration);
+  getGestures = () =>
+    _.assign({}, VideoPlayer.defaultProps.gestures, this.props.gestures);
 
   /**
-   * Return the time that the video should be at
-   * based on where the seeker handle is.
+   * Find the double tap action for where the screen
+   * was touched. The left and right thirds can have
+   * their own action, otherwise we fall back to
+   * the doubleTap gesture.
    *
-   * @return {float} time in ms based on seekerPosition.
+   * @return {string|function} double tap action
    */
-  calculateTimeFromSeekerPosition = () =>
-    this.state.duration * (this.state.seekerPosition / this.player.seekerWidth);
+  getDoubleTapAction = () => {
+    const gestures = this.getGestures();
+    const { width, touchStartX: x } = this.player;
+
+    if (width) {
+      if (x < width / 3 && gestures.doubleTapLeft) {
+        return gestures.doubleTapLeft;
+      }
+      if (x > (width * 2) / 3 && gestures.doubleTapRight) {
+        return gestures.doubleTapRight;
+      }
+    }
+
+    return gestures.doubleTap;
+  };
 
   /**
-   * Seek to a time in the video.
+   * Whether a gesture action seeks the video.
    *
-   * @param {float} time time to seek to in ms
+   * @param {string|function} action gesture action
+   * @return {bool}
    */
-  seekTo = (time = 0) => {
-    let state = this.state;
-    state.currentTime = time;
-    this.player.ref.seek(time);
-    this.setState(state);
-  };
+  isSeekAction = action =>
+    action === "seekBackward" || action === "seekForward";
 
   /**
-   * Set the position of the volume slider
+   * Run a gesture action. Actions are either the
+   * name of one of the supported actions or a
+   * function supplied by the user. Unknown
+   * names are ignored.
    *
-   * @param {float} position position of the volume handle in px
+   * @param {string|function} action gesture action
    */
-  setVolumePosition = (position = 0) => {
-    let state = this.state;
-    position = this.constrainToVolumeMinMax(position);
-    state.volumePosition = position + this.player.iconOffset;
-    state.volumeFillWidth = position;
-
-    state.volumeTrackWidth = this.player.volumeWidth - state.volumeFillWidth;
-
-    if (state.volumeFillWidth < 0) {
-      state.volumeFillWidth = 0;
+  runGestureAction = action => {
+    if (!this.mounted || !action) {
+      return;
     }
 
-    if (state.volumeTrackWidth > 150) {
-      state.volumeTrackWidth = 150;
-    }
+    const actions = {
+      toggleControls: this.toggleControls,
+      toggleFullscreen: this.toggleFullscreen,
+      togglePlayPause: this.togglePlayPause,
+      seekBackward: () => this.seekByTap(-this.props.doubleTapSeekTime),
+      seekForward: () => this.seekByTap(this.props.doubleTapSeekTime)
+    };
 
-    this.setState(state);
+    if (_.isFunction(action)) {
+      action();
+    } else if (_.has(actions, action)) {
+      actions[action]();
+    }
   };
 
   /**
-   * Constrain the volume bar to the min/max of
-   * its track's width.
+   * Seek from a double tap and show the ripple. Taps
+   * following a double tap add up so the ripple
+   * shows the total time skipped.
    *
-   * @param {float} val position of the volume handle in px
-   * @return {float} contrained position of the volume handle in px
+   * @param {float} time time to skip in seconds, negative to go back
    */
-  constrainToVolumeMinMax = (val = 0) => {
-    if (val <= 0) {
-      return 0;
-    } else if (val >= this.player.volumeWidth + 9) {
-      return this.player.volumeWidth + 9;
-    }
-    return val;
+  seekByTap = time => {
+    this.player.seekRippleTotal =
+      this.player.tapCount > 2 ? this.player.seekRippleTotal + time : time;
+
+    this.seek(this.state.currentTime + time);
+    this.seekRippleAnimation(this.player.seekRippleTotal);
   };
 
   /**
-   * Get the volume based on the position of the
-   * volume object.
+   * Fade the seek ripple in then back out again.
    *
-   * @return {float} volume level based on volume handle position
+   * @param {float} time total time skipped in seconds
    */
-  calculateVolumeFromVolumePosition = () =>
-    this.state.volumePosition / this.player.volumeWidth;
+  seekRippleAnimation = time => {
+    const { opacity } = this.animations.seekRipple;
+
+    this.setState({ seekRippleTime: time });
+    opacity.stopAnimation();
+    Animated.sequence([
+      Animated.timing(opacity, { toValue: 1, duration: 100 }),
+      Animated.delay(400),
+      Animated.timing(opacity, { toValue: 0, duration: 300 })
+    ]).start();
+  };
 
   /**
-   * Get the position of the volume handle based
-   * on the volume
+   * Work out which swipe, if any, a gesture is. Vertical
+   * swipes on the right half change the volume and
+   * horizontal swipes anywhere seek. Nothing
+   * happens while a slider is being dragged.
    *
-   * @return {float} volume handle position in px based on volume
+   * @param {object} gestureState the pan responder gesture state
+   * @return {string} 'volume', 'seek' or null
+   */
+  getSwipeMode = (gestureState = {}) => {
+    const dx = Math.abs(gestureState.dx);
+    const dy = Math.abs(gestureState.dy);
+    const { width, height, adjustingVolume, touchStartX } = this.player;
+
+    if (
+      this.state.seeking ||
+      adjustingVolume ||
+      Math.max(dx, dy) < this.player.swipeThreshold
+    ) {
+      return null;
+    }
+
+    if (dx > dy && this.props.seekSwipe && this.canSeek() && width) {
+      return "seek";
+    }
+
+    if (
+      dy > dx &&
+      this.props.volumeSwipe &&
+      height &&
+      touchStartX > width / 2
+    ) {
+      return "volume";
+    }
+
+    return null;
+  };
+
+  /**
+   * Start a swipe, remembering where the volume or
+   * time was so the swipe can move relative
+   * to it.
+   *
+   * @param {string} mode 'volume' or 'seek'
+   */
+  startSwipe = mode => {
+    this.player.swipeMode = mode;
+    this.clearControlTimeout();
+
+    if (mode === "volume") {
+      this.player.adjustingVolume = true;
+      this.player.swipeStartPosition = this.state.volumePosition;
+    } else if (mode === "seek") {
+      this.player.swipeStartTime = this.state.currentTime;
+      this.setState({ seeking: true });
+    }
+  };
+
+  /**
+   * Move the seekbar and time readout to where
+   * a seek swipe would land.
+   *
+   * @param {float} time time in seconds
+   */
+  setSwipeSeekTime = (time = 0) => {
+    const { start, end } = this.getSeekableRange();
+    time = Math.min(Math.max(time, start), end);
+
+    this.setSeekerPosition(this.calculateSeekerPositionForTime(time));
+    this.setState({ swipeSeekTime: time });
+  };
+
+  /**
+   * Finish a swipe. Volume swipes update the slider
+   * offset and seek swipes seek to the time
+   * shown in the readout.
+   */
+  endSwipe = () => {
+    let state = this.state;
+    const mode = this.player.swipeMode;
+    this.player.swipeMode = null;
+
+    if (mode === "volume") {
+      state.volumeOffset = state.volumePosition;
+      this.player.adjustingVolume = false;
+      this.setState(state);
+      this.saveRememberedVolume();
+    } else if (mode === "seek") {
+      const time = state.swipeSeekTime;
+      state.seeking = false;
+      state.swipeSeekTime = null;
+      this.setState(state);
+
+      if (time !== null) {
+        this.seek(time);
+      }
+    }
+
+    if (state.showControls) {
+      this.setControlTimeout();
+    }
+  };
+
+  /**
+   * Cycle the timer control between showing the time
+   * remaining, the time elapsed and the elapsed
+   * time out of the total.
+   */
+  toggleTimer = () => {
+    let state = this.state;
+    const index = timerModes.indexOf(state.timerMode);
+    state.timerMode = timerModes[(index + 1) % timerModes.length];
+    this.setState(state);
+  };
+
+  /**
+   * Look for a quiz point between the previous and
+   * current progress time. Only small forward steps
+   * count as crossing one so seeking over a point,
+   * or a stale progress event arriving after a
+   * seek, won't trigger it.
+   *
+   * @param {float} previousTime time of the last progress event in s
+   * @param {float} currentTime time of this progress event in s
+   */
+  checkQuizPoints = (previousTime = 0, currentTime = 0) => {
+    const { quizPoints } = this.props;
+    const delta = currentTime - previousTime;
+
+    if (
+      !quizPoints ||
+      this.state.activeQuizPoint ||
+      delta <= 0 ||
+      delta > this.player.playbackMaxDelta
+    ) {
+      return;
+    }
+
+    const quizPoint = _.find(
+      quizPoints,
+      point => point.time > previousTime && point.time <= currentTime
+    );
+
+    if (quizPoint) {
+      this.reachQuizPoint(quizPoint);
+    }
+  };
+
+  /**
+   * Pause the video at a quiz point and show
+   * the quiz overlay if one was supplied.
+   *
+   * @param {object} quizPoint the quiz point that was reached
+   */
+  reachQuizPoint = quizPoint => {
+    this.setState({ activeQuizPoint: quizPoint });
+    this.changePlaybackState({ paused: true });
+
+    if (this.props.onQuizPointReached) {
+      this.props.onQuizPointReached(quizPoint);
+    }
+  };
+
+  /**
+   * Tapping a quiz point marker seeks to it and
+   * opens its quiz again.
+   *
+   * @param {object} quizPoint the quiz point that was tapped
+   */
+  onQuizPointPress = quizPoint => {
+    this.resetControlTimeout();
+    this.seekTo(quizPoint.time);
+    this.reachQuizPoint(quizPoint);
+  };
+
+  /**
+   * Get the chapters in the order they play.
+   *
+   * @return {array} chapters sorted by start time
+   */
+  getChapters = () => _.sortBy(this.props.chapters || [], "start");
+
+  /**
+   * Find the chapter playing at a given time.
+   *
+   * @param {float} time time in seconds
+   * @return {int} index of the chapter, -1 if before the first one
+   */
+  getChapterIndex = (time = 0) =>
+    _.findLastIndex(this.getChapters(), chapter => chapter.start <= time);
+
+  /**
+   * Update the current chapter as playback moves
+   * along and let the user know when it changes.
+   *
+   * @param {float} currentTime time of this progress event in s
+   */
+  checkChapter = (currentTime = 0) => {
+    const chapterIndex = this.getChapterIndex(currentTime);
+
+    if (chapterIndex !== this.state.chapterIndex) {
+      this.setState({ chapterIndex });
+
+      if (this.props.onChapterChange && chapterIndex >= 0) {
+        this.props.onChapterChange(
+          this.getChapters()[chapterIndex],
+          chapterIndex
+        );
+      }
+    }
+  };
+
+  /**
+   * Skip to the start of the next chapter.
+   */
+  nextChapter = () => {
+    const chapters = this.getChapters();
+    const chapter = chapters[this.getChapterIndex(this.state.currentTime) + 1];
+
+    if (chapter) {
+      this.seek(chapter.start);
+    }
+  };
+
+  /**
+   * Skip back to the start of the current chapter, or
+   * the previous one when we're already within
+   * a few seconds of the current chapter's start.
+   */
+  previousChapter = () => {
+    const chapters = this.getChapters();
+    const { currentTime } = this.state;
+    let chapterIndex = this.getChapterIndex(currentTime);
+
+    if (chapterIndex > 0 && currentTime - chapters[chapterIndex].start < 3) {
+      chapterIndex -= 1;
+    }
+
+    this.seek(chapterIndex >= 0 ? chapters[chapterIndex].start : 0);
+  };
+
+  /**
+   * Whether both ends of an A-B loop are set.
+   *
+   * @return {bool}
+   */
+  isLooping = () =>
+    this.state.loopStart !== null && this.state.loopEnd !== null;
+
+  /**
+   * The loop control steps through setting A, setting
+   * B and clearing the loop again.
+   */
+  toggleLoop = () => {
+    const { loopStart, loopEnd } = this.state;
+
+    if (loopStart === null) {
+      this.setLoopStart();
+    } else if (loopEnd === null) {
+      this.setLoopEnd();
+    } else {
+      this.clearLoop();
+    }
+  };
+
+  /**
+   * Set the ends of the loop and let everyone know.
+   *
+   * @param {float} loopStart time of A in seconds, or null
+   * @param {float} loopEnd time of B in seconds, or null
+   */
+  changeLoop = (loopStart = null, loopEnd = null) => {
+    let state = this.state;
+    state.loopStart = loopStart;
+    state.loopEnd = loopEnd;
+    this.setState(state);
+
+    if (this.props.onLoopChange) {
+      this.props.onLoopChange({ start: loopStart, end: loopEnd });
+    }
+  };
+
+  /**
+   * Create the responder for dragging one end of the
+   * loop along the seekbar. Ends can't cross and
+   * stay at least minLoopLength apart.
+   *
+   * @param {string} point 'start' or 'end'
+   * @return {object} the pan responder
+   */
+  createLoopPanResponder = point =>
+    PanResponder.create({
+      onStartShouldSetPanResponder: (evt, gestureState) => true,
+      onMoveShouldSetPanResponder: (evt, gestureState) => true,
+
+      onPanResponderGrant: (evt, gestureState) => {
+        const time =
+          point === "start" ? this.state.loopStart : this.state.loopEnd;
+        this.player.loopHandleOffset = this.calculateSeekerPositionForTime(
+          time
+        );
+        this.clearControlTimeout();
+      },
+
+      onPanResponderMove: (evt, gestureState) => {
+        const { loopStart, loopEnd } = this.state;
+        const { start, end } = this.getSeekableRange();
+        const { minLoopLength } = this.props;
+        const position =
+          this.player.loopHandleOffset +
+          gestureState.dx * this.getDragDirection();
+        const time = this.calculateTimeForSeekerPosition(position);
+
+        let state = this.state;
+        if (point === "start") {
+          const latest = loopEnd === null ? end : loopEnd - minLoopLength;
+          state.loopStart = Math.min(Math.max(time, start), latest);
+        } else {
+          state.loopEnd = Math.max(
+            Math.min(time, end),
+            loopStart + minLoopLength
+          );
+        }
+        this.setState(state);
+      },
+
+      onPanResponderRelease: (evt, gestureState) => {
+        this.changeLoop(this.state.loopStart, this.state.loopEnd);
+        this.setControlTimeout();
+      }
+    });
+
+  /**
+   * Parse each caption track up front so we only
+   * have to look up cues while playing.
+   *
+   * @param {array} tracks caption tracks or caption strings
+   * @return {array} list of cues for each track
+   */
+  parseCaptionTracks = (tracks = []) =>
+    _.map(tracks, track =>
+      parseCaptions(_.isString(track) ? track : track.text)
+    );
+
+  /**
+   * Parse the thumbnails prop, either a WebVTT thumbnails
+   * track (as text or { text, baseUrl }) or a grid
+   * description of sprite sheets.
+   *
+   * @param {string|object} thumbnails the thumbnails prop
+   * @return {array} list of thumbnails
+   */
+  parseThumbnailTrack = thumbnails => {
+    if (!thumbnails) {
+      return [];
+    }
+    if (_.isString(thumbnails)) {
+      return parseThumbnails(thumbnails);
+    }
+    if (thumbnails.text) {
+      return parseThumbnails(thumbnails.text, thumbnails.baseUrl);
+    }
+    return createSpriteThumbnails(thumbnails);
+  };
+
+  /**
+   * WebVTT thumbnails don't say how big their sprite
+   * sheets are, which we need to crop out a tile.
+   * Look it up once per sheet and re-render
+   * when it comes back.
+   *
+   * @param {string} uri url of the sprite sheet
+   */
+  loadThumbnailSheet = uri => {
+    const sheets = this.player.thumbnailSheets;
+    if (sheets[uri]) {
+      return;
+    }
+
+    sheets[uri] = { loading: true };
+    Image.getSize(
+      uri,
+      (width, height) => {
+        sheets[uri] = { width, height };
+        if (this.mounted) {
+          this.forceUpdate();
+        }
+      },
+      () => {
+        sheets[uri] = { failed: true };
+      }
+    );
+  };
+
+  /**
+   * Turn captions on or off.
+   */
+  toggleCaptions = () => {
+    this.setState({
+      captionsEnabled: !this.state.captionsEnabled,
+      showCaptionMenu: false
+    });
+  };
+
+  /**
+   * Show or hide the caption language menu.
+   */
+  toggleCaptionMenu = () => {
+    this.setState({ showCaptionMenu: !this.state.showCaptionMenu });
+  };
+
+  /**
+   * Pick a caption track from the language menu
+   * and make sure captions are showing.
+   *
+   * @param {int} index index of the caption track
+   */
+  selectCaptionTrack = index => {
+    this.setState({
+      captionTrack: index,
+      captionsEnabled: true,
+      showCaptionMenu: false
+    });
+  };
+
+  /**
+   * Get a playlist item relative to the one playing.
+   *
+   * @param {int} offset 0 for the current item, 1 for the next...
+   * @return {object} the playlist item, undefined if there isn't one
+   */
+  getPlaylistItem = (offset = 0) =>
+    (this.props.playlist || [])[this.state.playlistIndex + offset];
+
+  /**
+   * Count down to the next playlist item, once a
+   * second, then play it. A delay of 0 plays
+   * it straight away.
+   */
+  startUpNextCountdown = () => {
+    const delay = this.props.autoplayNextDelay;
+    this.clearUpNextCountdown();
+
+    if (!delay) {
+      this.playNext();
+      return;
+    }
+
+    this.setState({ upNextCountdown: delay });
+    this.player.upNextInterval = setInterval(() => {
+      const upNextCountdown = this.state.upNextCountdown - 1;
+
+      if (upNextCountdown <= 0) {
+        this.playNext();
+      } else {
+        this.setState({ upNextCountdown });
+      }
+    }, 1000);
+  };
+
+  /**
+   * Get the source to play, the current playlist
+   * item's when there's a playlist.
+   *
+   * @return {object} video source
+   */
+  getSource = () => {
+    const item = this.getPlaylistItem();
+    return item ? item.source : this.props.source;
+  };
+
+  /**
+   * Stop the up next countdown.
+   */
+  clearUpNextCountdown = () => clearInterval(this.player.upNextInterval);
+
+  /**
+   * Cancel the up next countdown and hide it.
+   */
+  cancelUpNext = () => {
+    this.clearUpNextCountdown();
+    this.setState({ upNextCountdown: null });
+  };
+
+  /**
+   * Get the key the position of the current video is
+   * saved under. Playlist items can have their own
+   * key, otherwise their index is added to the
+   * resumeKey prop.
+   *
+   * @return {string} storage key, null if resuming is off
+   */
+  getResumeKey = () => {
+    const { resumeKey, resumeStorage, playlist } = this.props;
+    const item = this.getPlaylistItem();
+
+    if (!resumeStorage) {
+      return null;
+    }
+    if (item && item.resumeKey) {
+      return item.resumeKey;
+    }
+    if (resumeKey && item && playlist.length > 1) {
+      return `${resumeKey}:${this.state.playlistIndex}`;
+    }
+    return resumeKey || null;
+  };
+
+  /**
+   * Look up the saved position once the video has
+   * loaded and either seek to it or ask the
+   * user whether they want to resume.
+   * Positions near the end are ignored.
+   */
+  loadResumePosition = () => {
+    const key = this.getResumeKey();
+    if (!key) {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => this.props.resumeStorage.getItem(key))
+      .then(value => {
+        const time = parseFloat(value);
+        const { duration } = this.state;
+
+        if (
+          !this.mounted ||
+          this.isLive() ||
+          !(time > 0) ||
+          time >= duration - this.props.resumeEndThreshold
+        ) {
+          return;
+        }
+
+        if (this.props.resumePrompt) {
+          this.setState({ resumeTime: time });
+        } else {
+          this.seek(time);
+        }
+      })
+      .catch(() => {});
+  };
+
+  /**
+   * Save the current position. Once the user gets near
+   * the end we forget the position so the video
+   * starts over next time.
+   */
+  saveResumePosition = () => {
+    const key = this.getResumeKey();
+    const { currentTime, duration, resumeTime } = this.state;
+    this.player.lastResumeSave = new Date().getTime();
+
+    // Don't overwrite the saved position before the user picks from the prompt
+    if (!key || !duration || this.isLive() || resumeTime !== null) {
+      return;
+    }
+
+    const storage = this.props.resumeStorage;
+    const request =
+      currentTime >= duration - this.props.resumeEndThreshold
+        ? storage.removeItem(key)
+        : storage.setItem(key, String(currentTime));
+
+    Promise.resolve(request).catch(() => {});
+  };
+
+  /**
+   * Seek to the saved position from the resume prompt.
+   */
+  resumeFromSaved = () => {
+    const time = this.state.resumeTime;
+    this.setState({ resumeTime: null });
+    this.seek(time);
+  };
+
+  /**
+   * Dismiss the resume prompt and carry on from the start.
+   */
+  startOver = () => {
+    this.setState({ resumeTime: null });
+  };
+
+  /**
+   * Send an analytics event to onAnalyticsEvent and,
+   * when onAnalyticsBatch is used, the batching
+   * queue. Every event carries the session and
+   * where playback was at the time.
+   *
+   * @param {string} type the event type
+   * @param {object} data extra data for the event
+   */
+  trackEvent = (type, data = {}) => {
+    const { onAnalyticsEvent } = this.props;
+    const { queue, sessionId } = this.analytics;
+
+    if (!onAnalyticsEvent && !queue) {
+      return;
+    }
+
+    const event = _.assign(
+      {
+        type,
+        sessionId,
+        timestamp: new Date().getTime(),
+        currentTime: this.state.currentTime,
+        duration: this.state.duration,
+        playlistIndex: this.state.playlistIndex
+      },
+      data
+    );
+
+    if (onAnalyticsEvent) {
+      onAnalyticsEvent(event);
+    }
+    if (queue) {
+      queue.push(event);
+    }
+  };
+
+  /**
+   * Track the first frame, watched time and quartiles
+   * as playback moves along. Like quiz points only
+   * small forward steps count as watching, so
+   * seeking past a quartile doesn't reach it.
+   *
+   * @param {float} previousTime time of the last progress event in s
+   * @param {float} currentTime time of this progress event in s
+   */
+  trackProgress = (previousTime = 0, currentTime = 0) => {
+    const delta = currentTime - previousTime;
+    const { duration } = this.state;
+
+    if (!this.analytics.firstFrame && currentTime > 0) {
+      this.analytics.firstFrame = true;
+      this.trackEvent("firstFrame");
+    }
+
+    if (!(delta > 0 && delta <= this.player.playbackMaxDelta)) {
+      return;
+    }
+
+    this.analytics.watchedSeconds += delta;
+
+    if (duration && !this.isLive()) {
+      [25, 50, 75].forEach(quartile => {
+        const time = (duration * quartile) / 100;
+        if (previousTime < time && currentTime >= time) {
+          this.trackQuartile(quartile);
+        }
+      });
+    }
+  };
+
+  /**
+   * Track a quartile, only once per video.
+   *
+   * @param {int} quartile 25, 50, 75 or 100
+   */
+  trackQuartile = quartile => {
+    if (this.analytics.quartiles.indexOf(quartile) === -1) {
+      this.analytics.quartiles.push(quartile);
+      this.trackEvent("quartile", { quartile });
+    }
+  };
+
+  /**
+   * Start the analytics queue and heartbeat...if
+   * anyone is listening.
+   */
+  startAnalytics = () => {
+    const {
+      onAnalyticsEvent,
+      onAnalyticsBatch,
+      analyticsBatchSize,
+      analyticsFlushInterval,
+      analyticsHeartbeatInterval
+    } = this.props;
+
+    if (onAnalyticsBatch) {
+      this.analytics.queue = createAnalyticsQueue({
+        size: analyticsBatchSize,
+        interval: analyticsFlushInterval,
+        onFlush: events => this.props.onAnalyticsBatch(events)
+      });
+    }
+
+    if ((onAnalyticsEvent || onAnalyticsBatch) && analyticsHeartbeatInterval) {
+      this.analytics.heartbeatInterval = setInterval(() => {
+        if (!this.state.paused) {
+          this.trackEvent("heartbeat", {
+            watchedSeconds: this.analytics.watchedSeconds
+          });
+        }
+      }, analyticsHeartbeatInterval);
+    }
+
+    this.trackEvent("sessionStart");
+  };
+
+  /**
+   * Stop the heartbeat and send anything left in the queue.
+   */
+  stopAnalytics = () => {
+    clearInterval(this.analytics.heartbeatInterval);
+
+    if (this.analytics.queue) {
+      this.analytics.queue.stop();
+    }
+  };
+
+  /**
+   * The default 'onBack' function pops the navigator
+   * and as such the video player requires a
+   * navigator prop by default.
+   */
+  onBack = () => {
+    if (this.props.onBack) {
+      this.props.onBack();
+    }
+  };
+
+  /**
+   * Calculate the time to show in the timer area
+   * based on the timer mode, either the time
+   * remaining, the time elapsed or the time
+   * elapsed out of the duration.
+   */
+  calculateTime = () => {
+    const { currentTime, duration, timerMode } = this.state;
+
+    if (timerMode === "remaining") {
+      return this.getString("remainingTime", {
+        time: this.formatTime(duration - currentTime)
+      });
+    }
+    if (timerMode === "total") {
+      return this.getString("timeOfDuration", {
+        time: this.formatTime(currentTime),
+        duration: this.formatTime(duration)
+      });
+    }
+
+    return this.formatTime(currentTime);
+  };
+
+  /**
+   * Format a time string as mm:ss, or h:mm:ss when
+   * the video is an hour or longer so every time
+   * in the player lines up. Live streams go by
+   * the time itself. The formatTime prop
+   * can take over formatting completely.
+   *
+   * @param {float} time time in seconds
+   * @return {string} formatted time string
+   */
+  formatTime = (time = 0) => {
+    const { duration } = this.state;
+    const live = this.isLive();
+    time = Math.max(time, 0);
+
+    // Live streams have no real duration to clamp to
+    if (!live) {
+      time = Math.min(time, duration);
+    }
+
+    if (this.props.formatTime) {
+      return this.props.formatTime(time, duration);
+    }
+
+    const formattedSeconds = this.formatNumber(Math.floor(time % 60), 2);
+
+    if ((live ? time : duration) >= 3600) {
+      const formattedHours = this.formatNumber(Math.floor(time / 3600));
+      const formattedMinutes = this.formatNumber(
+        Math.floor((time % 3600) / 60),
+        2
+      );
+      return `${formattedHours}:${formattedMinutes}:${formattedSeconds}`;
+    }
+
+    const formattedMinutes = this.formatNumber(Math.floor(time / 60), 2);
+    return `${formattedMinutes}:${formattedSeconds}`;
+  };
+
+  /**
+   * Set the position of the seekbar's components
+   * (both fill and handle) according to the
+   * position supplied.
+   *
+   * @param {float} position position in px of seeker handle}
+   */
+  setSeekerPosition = (position = 0) => {
+    let state = this.state;
+    position = this.constrainToSeekerMinMax(position);
+
+    state.seekerFillWidth = position;
+    state.seekerPosition = position;
+
+    if (!state.seeking) {
+      state.seekerOffset = position;
+    }
+
+    this.setState(state);
+  };
+
+  /**
+   * Contrain the location of the seeker to the
+   * min/max value based on how big the
+   * seeker is.
+   *
+   * @param {float} val position of seeker handle in px
+   * @return {float} contrained position of seeker handle in px
+   */
+  constrainToSeekerMinMax = (val = 0) => {
+    if (val <= 0) {
+      return 0;
+    }
+    if (val >= this.player.seekerWidth) {
+      return this.player.seekerWidth;
+    }
+    return val;
+  };
+
+  /**
+   * Calculate the position that the seeker should be
+   * at along its track.
+   *
+   * @return {float} position of seeker handle in px based on currentTime
+   */
+  calculateSeekerPosition = () =>
+    this.calculateSeekerPositionForTime(this.state.currentTime);
+
+  /**
+   * Calculate where a time sits along the seekbar.
+   *
+   * @param {float} time time in seconds
+   * @return {float} position along the seekbar in px
+   */
+  calculateSeekerPositionForTime = (time = 0) => {
+    const { start, end } = this.getSeekableRange();
+    if (end <= start) {
+      return 0;
+    }
+    return this.player.seekerWidth * ((time - start) / (end - start));
+  };
+
+  /**
+   * Return the time that the video should be at
+   * based on where the seeker handle is.
+   *
+   * @return {float} time in seconds based on seekerPosition.
+   */
+  calculateTimeFromSeekerPosition = () =>
+    this.calculateTimeForSeekerPosition(this.state.seekerPosition);
+
+  /**
+   * Calculate the time at a position along the seekbar.
+   *
+   * @param {float} position position along the seekbar in px
+   * @return {float} time in seconds
+   */
+  calculateTimeForSeekerPosition = (position = 0) => {
+    const { start, end } = this.getSeekableRange();
+    return start + (end - start) * (position / this.player.seekerWidth);
+  };
+
+  /**
+   * Whether the source is a live stream, either set
+   * by the live prop or because the video
+   * loaded without a duration.
+   *
+   * @return {bool}
+   */
+  isLive = () =>
+    _.isBoolean(this.props.live) ? this.props.live : this.state.live;
+
+  /**
+   * The range of time the seekbar covers. That's the
+   * whole video, or for live streams the DVR
+   * window that slides along behind the
+   * live edge.
+   *
+   * @return {object} { start, end } in seconds
+   */
+  getSeekableRange = () => {
+    const {
+      duration,
+      currentTime,
+      playableDuration,
+      seekableDuration
+    } = this.state;
+
+    if (!this.isLive()) {
+      return { start: 0, end: duration };
+    }
+
+    const end = Math.max(seekableDuration || playableDuration, currentTime);
+    const start = this.props.dvrWindow
+      ? Math.max(end - this.props.dvrWindow, 0)
+      : end;
+    return { start, end };
+  };
+
+  /**
+   * Whether there's anything to seek through. Live
+   * streams can only seek with a DVR window.
+   *
+   * @return {bool}
+   */
+  canSeek = () => {
+    const { start, end } = this.getSeekableRange();
+    return end > start;
+  };
+
+  /**
+   * How far behind the live edge playback is.
+   *
+   * @return {float} time in seconds
+   */
+  getTimeBehindLive = () =>
+    this.isLive()
+      ? Math.max(this.getSeekableRange().end - this.state.currentTime, 0)
+      : 0;
+
+  /**
+   * Whether playback is close enough to the live
+   * edge to count as live.
+   *
+   * @return {bool}
+   */
+  isAtLiveEdge = () => this.getTimeBehindLive() <= this.props.liveEdgeThreshold;
+
+  /**
+   * Seek to a time in the video.
+   *
+   * @param {float} time time to seek to in ms
+   * @param {float} from time the seek started from, defaults to the current time
+   */
+  seekTo = (time = 0, from = this.state.currentTime) => {
+    let state = this.state;
+    this.trackEvent("seek", { from, to: time });
+    state.currentTime = time;
+    this.player.ref.seek(time);
+    this.setState(state);
+    this.announce(this.formatTime(time));
+  };
+
+  /**
+   * Set the position of the volume slider
+   *
+   * @param {float} position position of the volume handle in px
+   */
+  setVolumePosition = (position = 0) => {
+    let state = this.state;
+    position = this.constrainToVolumeMinMax(position);
+    state.volumePosition = position + this.player.iconOffset;
+    state.volumeFillWidth = position;
+
+    state.volumeTrackWidth = this.player.volumeWidth - state.volumeFillWidth;
+
+    if (state.volumeFillWidth < 0) {
+      state.volumeFillWidth = 0;
+    }
+
+    if (state.volumeTrackWidth > 150) {
+      state.volumeTrackWidth = 150;
+    }
+
+    this.setState(state);
+  };
+
+  /**
+   * Move the volume slider to a position and set
+   * the volume to match. If we go to 0 then turn
+   * on the mute prop to avoid that weird
+   * static-y sound.
+   *
+   * @param {float} position position of the volume handle in px
+   */
+  updateVolumeFromPosition = (position = 0) => {
+    this.setVolumePosition(position);
+    const volume = this.calculateVolumeFromVolumePosition();
+
+    this.changePlaybackState({
+      volume,
+      muted: volume <= 0
+    });
+  };
+
+  /**
+   * Constrain the volume bar to the min/max of
+   * its track's width.
+   *
+   * @param {float} val position of the volume handle in px
+   * @return {float} contrained position of the volume handle in px
+   */
+  constrainToVolumeMinMax = (val = 0) => {
+    if (val <= 0) {
+      return 0;
+    } else if (val >= this.player.volumeWidth + 9) {
+      return this.player.volumeWidth + 9;
+    }
+    return val;
+  };
+
+  /**
+   * Get the volume based on the position of the
+   * volume object.
+   *
+   * @return {float} volume level based on volume handle position
+   */
+  calculateVolumeFromVolumePosition = () =>
+    this.state.volumePosition / this.player.volumeWidth;
+
+  /**
+   * Get the position of the volume handle based
+   * on the volume. Muted sits at the bottom.
+   *
+   * @return {float} volume handle position in px based on volume
    */
   calculateVolumePositionFromVolume = () =>
-    this.player.volumeWidth * this.state.volume;
+    this.state.muted ? 0 : this.player.volumeWidth * this.state.volume;
+
+  /**
+   * Get a string from the strings prop, or the default
+   * one, with its values filled in.
+   *
+   * @param {string} key name of the string
+   * @param {object} values values to fill in
+   * @return {string} the string
+   */
+  getString = (key, values = {}) =>
+    _.reduce(
+      values,
+      (string, value, name) => string.split(`{${name}}`).join(value),
+      _.get(this.props.strings, key, defaultStrings[key]) || ""
+    );
+
+  /**
+   * Format a number for the locale prop, padded
+   * with zeros to a minimum number of digits.
+   * Without Intl support (older Android JS
+   * engines) we stick to western digits.
+   *
+   * @param {float} number the number to format
+   * @param {int} digits minimum number of integer digits
+   * @return {string} the formatted number
+   */
+  formatNumber = (number = 0, digits = 1) => {
+    const { locale } = this.props;
+    if (locale && typeof Intl !== "undefined") {
+      const key = `${locale}:${digits}`;
+      if (!numberFormats[key]) {
+        numberFormats[key] = new Intl.NumberFormat(locale, {
+          minimumIntegerDigits: digits,
+          maximumFractionDigits: 2,
+          useGrouping: false
+        });
+      }
+      return numberFormats[key].format(number);
+    }
+    return _.padStart(`${number}`, digits, 0);
+  };
+
+  /**
+   * Whether the player is laid out right to left. The
+   * rtl prop wins, then the language of the locale
+   * prop, then the app's own layout direction.
+   *
+   * @return {bool}
+   */
+  isRTL = () => {
+    if (_.isBoolean(this.props.rtl)) {
+      return this.props.rtl;
+    }
+    if (this.props.locale) {
+      const language = this.props.locale.split(/[-_]/)[0].toLowerCase();
+      return rtlLanguages.indexOf(language) !== -1;
+    }
+    return I18nManager.isRTL;
+  };
+
+  /**
+   * React Native already mirrors flexbox rows and left/right
+   * positions when the app is right to left. We only
+   * mirror the controls ourselves when the player's
+   * direction differs from the app's.
+   *
+   * @return {bool}
+   */
+  isMirrored = () => this.isRTL() !== I18nManager.isRTL;
+
+  /**
+   * Dragging a slider towards the start of the
+   * track goes left in LTR, right in RTL.
+   *
+   * @return {int} 1 or -1
+   */
+  getDragDirection = () => (this.isRTL() ? -1 : 1);
+
+  /**
+   * Read a message out...if a screen
+   * reader is running.
+   *
+   * @param {string} message what to read out
+   */
+  announce = message => {
+    if (this.player.screenReaderEnabled && message) {
+      AccessibilityInfo.announceForAccessibility(message);
+    }
+  };
+
+  /**
+   * Start listening for the screen reader being turned
+   * on or off. Older versions of React Native
+   * call these fetch and change.
+   */
+  startScreenReaderListener = () => {
+    const check = AccessibilityInfo.isScreenReaderEnabled
+      ? AccessibilityInfo.isScreenReaderEnabled()
+      : AccessibilityInfo.fetch();
+    check.then(this.onScreenReaderChange).catch(() => {});
+
+    this.player.screenReaderListener = AccessibilityInfo.addEventListener(
+      AccessibilityInfo.isScreenReaderEnabled
+        ? "screenReaderChanged"
+        : "change",
+      this.onScreenReaderChange
+    );
+  };
+
+  /**
+   * Stop listening for screen reader changes.
+   */
+  stopScreenReaderListener = () => {
+    const listener = this.player.screenReaderListener;
+    if (listener && listener.remove) {
+      listener.remove();
+    } else if (AccessibilityInfo.removeEventListener) {
+      AccessibilityInfo.removeEventListener(
+        AccessibilityInfo.isScreenReaderEnabled
+          ? "screenReaderChanged"
+          : "change",
+        this.onScreenReaderChange
+      );
+    }
+  };
+
+  /**
+   * Keep the controls on screen for as long as a
+   * screen reader is running and start hiding
+   * them again once it's turned off.
+   *
+   * @param {bool} enabled whether a screen reader is running
+   */
+  onScreenReaderChange = enabled => {
+    this.player.screenReaderEnabled = !!enabled;
+    if (!this.mounted) {
+      return;
+    }
+
+    if (enabled) {
+      this.clearControlTimeout();
+      this.showControls();
+    } else if (this.state.showControls) {
+      this.resetControlTimeout();
+    }
+  };
+
+  /**
+   * Seek forwards or backwards when a screen
+   * reader user adjusts the seekbar.
+   *
+   * @param {object} event the accessibility action event
+   */
+  onSeekbarAccessibilityAction = event => {
+    const step = this.props.accessibilitySeekStep;
+    const { actionName } = event.nativeEvent;
+
+    if (actionName === "increment") {
+      this.seek(this.state.currentTime + step);
+    } else if (actionName === "decrement") {
+      this.seek(this.state.currentTime - step);
+    }
+  };
+
+  /**
+   * Turn the volume up or down when a screen
+   * reader user adjusts the volume slider.
+   *
+   * @param {object} event the accessibility action event
+   */
+  onVolumeAccessibilityAction = event => {
+    const step = this.props.accessibilityVolumeStep;
+    const { actionName } = event.nativeEvent;
+
+    if (actionName === "activate") {
+      this.toggleMute();
+    } else if (actionName === "increment") {
+      this.setVolume(this.state.volume + step);
+    } else if (actionName === "decrement") {
+      this.setVolume(this.state.volume - step);
+    }
+  };
+
+  /**
+    | -------------------------------------------------------
+    | Public API
+    | -------------------------------------------------------
+    |
+    | These functions are safe to call on a ref to the
+    | <VideoPlayer> from outside the component. They
+    | fire the same events as the on screen
+    | controls do.
+    |
+    */
+
+  /**
+   * Start playback.
+   */
+  play = () => {
+    if (!this.state.paused) {
+      return;
+    }
+
+    this.changePlaybackState({ paused: false });
+
+    if (this.props.onPlay) {
+      this.props.onPlay();
+    }
+  };
+
+  /**
+   * Pause playback.
+   */
+  pause = () => {
+    if (this.state.paused) {
+      return;
+    }
+
+    this.changePlaybackState({ paused: true });
+
+    if (this.props.onPause) {
+      this.props.onPause();
+    }
+  };
+
+  /**
+   * Seek to a time in the video and move the
+   * seekbar to match.
+   *
+   * @param {float} time time to seek to in seconds
+   */
+  seek = (time = 0) => {
+    const { start, end } = this.getSeekableRange();
+    time = Math.max(time, start);
+
+    if (end > start) {
+      time = Math.min(time, end);
+      if (!this.state.seeking) {
+        this.setSeekerPosition(this.calculateSeekerPositionForTime(time));
+      }
+    }
+
+    this.seekTo(time);
+  };
+
+  /**
+   * Jump to the live edge of a live stream.
+   */
+  goLive = () => {
+    if (this.isLive()) {
+      this.seek(this.getSeekableRange().end);
+    }
+  };
+
+  /**
+   * Set the volume and move the volume slider
+   * to match. A volume of 0 mutes the video.
+   *
+   * @param {float} volume volume level between 0 and 1
+   */
+  setVolume = (volume = 1) => {
+    volume = Math.min(Math.max(volume, 0), 1);
+    this.changePlaybackState({
+      volume,
+      muted: volume <= 0
+    });
+  };
+
+  /**
+   * Mute or unmute the video.
+   *
+   * @param {bool} muted whether the video should be muted
+   */
+  setMuted = (muted = true) => {
+    this.changePlaybackState({ muted: !!muted });
+  };
+
+  /**
+   * Mute or unmute the video. Unmuting goes back to the
+   * volume from before it was muted, even if it was
+   * muted by dragging the slider all the way down.
+   */
+  toggleMute = () => {
+    const { muted, volume } = this.state;
+
+    if (muted || volume <= 0) {
+      this.changePlaybackState({
+        muted: false,
+        volume: volume > 0 ? volume : this.player.unmutedVolume
+      });
+    } else {
+      this.changePlaybackState({ muted: true });
+    }
+  };
+
+  /**
+   * Set both ends of an A-B loop. Playback jumps
+   * back to the start whenever it passes the
+   * end. Ends given the wrong way round
+   * are swapped.
+   *
+   * @param {float} loopStart time of A in seconds
+   * @param {float} loopEnd time of B in seconds
+   */
+  setLoop = (loopStart = 0, loopEnd = 0) => {
+    const { start, end } = this.getSeekableRange();
+    const a = Math.max(Math.min(loopStart, loopEnd), start);
+    const b = Math.min(Math.max(loopStart, loopEnd), end);
+
+    if (b - a >= this.props.minLoopLength) {
+      this.changeLoop(a, b);
+    }
+  };
+
+  /**
+   * Set A, by default at the current time. An end
+   * that's no longer after it is cleared.
+   *
+   * @param {float} time time of A in seconds
+   */
+  setLoopStart = (time = this.state.currentTime) => {
+    const { loopEnd } = this.state;
+    const keepEnd =
+      loopEnd !== null && loopEnd - time >= this.props.minLoopLength;
+    this.changeLoop(Math.max(time, 0), keepEnd ? loopEnd : null);
+  };
+
+  /**
+   * Set B, by default at the current time, and start
+   * looping. Without an A the loop starts from
+   * the beginning.
+   *
+   * @param {float} time time of B in seconds
+   */
+  setLoopEnd = (time = this.state.currentTime) => {
+    const { loopStart } = this.state;
+    this.setLoop(loopStart === null ? 0 : loopStart, time);
+  };
+
+  /**
+   * Stop looping.
+   */
+  clearLoop = () => {
+    this.changeLoop(null, null);
+  };
+
+  /**
+   * Finish the quiz point playback stopped at, hiding
+   * the quiz overlay and resuming playback. The
+   * overlay gets this as its onComplete.
+   */
+  completeQuizPoint = () => {
+    if (this.mounted && this.state.activeQuizPoint) {
+      this.setState({ activeQuizPoint: null });
+      this.changePlaybackState({ paused: false });
+    }
+  };
+
+  /**
+   * Set the playback rate.
+   *
+   * @param {float} rate playback rate, 1 is normal speed
+   */
+  setRate = (rate = 1) => {
+    this.changePlaybackState({ rate });
+  };
+
+  /**
+   * Enter fullscreen mode, switching the resizeMode
+   * to cover when toggleResizeModeOnFullscreen
+   * is set.
+   */
+  enterFullscreen = () => {
+    if (this.state.isFullscreen) {
+      return;
+    }
+
+    this.changePlaybackState({
+      isFullscreen: true,
+      resizeMode: this.props.toggleResizeModeOnFullscreen
+        ? "cover"
+        : this.state.resizeMode
+    });
+
+    if (this.props.onEnterFullscreen) {
+      this.props.onEnterFullscreen();
+    }
+  };
+
+  /**
+   * Exit fullscreen mode...opposite of above.
+   */
+  exitFullscreen = () => {
+    if (!this.state.isFullscreen) {
+      return;
+    }
+
+    this.changePlaybackState({
+      isFullscreen: false,
+      resizeMode: this.props.toggleResizeModeOnFullscreen
+        ? "contain"
+        : this.state.resizeMode
+    });
+
+    if (this.props.onExitFullscreen) {
+      this.props.onExitFullscreen();
+    }
+  };
+
+  /**
+   * Function to show the controls. Sets our state,
+   * calls the animation and starts the timeout
+   * that hides them again.
+   */
+  showControls = () => {
+    if (this.mounted) {
+      this.showControlAnimation();
+      this.resetControlTimeout();
+      this.setState({
+        showControls: true
+      });
+    }
+  };
+
+  /**
+   * Function to hide the controls. Sets our
+   * state then calls the animation.
+   */
+  hideControls = () => {
+    if (this.mounted) {
+      this.clearControlTimeout();
+      this.hideControlAnimation();
+      this.setState({
+        showControls: false
+      });
+    }
+  };
+
+  /**
+   * Jump to an item in the playlist and play it. The
+   * player isn't remounted so fullscreen and
+   * volume carry over to the new item.
+   *
+   * @param {int} index index of the playlist item
+   */
+  playItem = (index = 0) => {
+    const { playlist } = this.props;
+    if (!this.mounted || !playlist || !playlist[index]) {
+      return;
+    }
+
+    let state = this.state;
+    this.clearUpNextCountdown();
+    this.saveResumePosition();
+
+    this.analytics.firstFrame = false;
+    this.analytics.pausedChanged = false;
+    this.analytics.quartiles = [];
+
+    state.resumeTime = null;
+    state.upNextCountdown = null;
+    state.activeQuizPoint = null;
+    state.seeking = false;
+    state.playlistIndex = index;
+    state.chapterIndex = -1;
+    state.loopStart = null;
+    state.loopEnd = null;
+    state.currentTime = 0;
+    state.duration = 0;
+    state.live = false;
+    state.seekableDuration = 0;
+    state.error = false;
+    this.setState(state);
+
+    clearTimeout(this.player.retryTimeout);
+    this.player.retryAttempts = 0;
+    this.player.retryTime = 0;
+
+    this.setSeekerPosition(0);
+    this.changePlaybackState({ paused: false });
+
+    if (this.props.onPlaylistItemChange) {
+      this.props.onPlaylistItemChange(playlist[index], index);
+    }
+  };
+
+  /**
+   * Play the next item in the playlist.
+   */
+  playNext = () => this.playItem(this.state.playlistIndex + 1);
+
+  /**
+   * Play the previous item in the playlist.
+   */
+  playPrevious = () => this.playItem(this.state.playlistIndex - 1);
+
+  /**
+   * Reload the video and carry on from where it
+   * was when it failed.
+   */
+  retry = () => {
+    if (!this.mounted) {
+      return;
+    }
+
+    clearTimeout(this.player.retryTimeout);
+    this.player.retryTime = this.state.currentTime;
+    this.setState(
+      {
+        retryCount: this.state.retryCount + 1,
+        loading: true,
+        error: false
+      },
+      this.startLoadAnimation
+    );
+  };
+
+  /**
+   * Get a snapshot of the current playback state.
+   *
+   * @return {object} playback status
+   */
+  getStatus = () => {
+    const {
+      paused,
+      currentTime,
+      duration,
+      volume,
+      muted,
+      rate,
+      isFullscreen,
+      showControls,
+      playlistIndex,
+      loading,
+      error
+    } = this.state;
+
+    return {
+      paused,
+      currentTime,
+      duration,
+      volume,
+      muted,
+      rate,
+      isFullscreen,
+      showControls,
+      playlistIndex,
+      loading,
+      error,
+      live: this.isLive(),
+      loopStart: this.state.loopStart,
+      loopEnd: this.state.loopEnd
+    };
+  };
 
   /**
     | -------------------------------------------------------
@@ -577,8 +2630,13 @@ export default class VideoPlayer extends Component {
    * pan responders.
    */
   componentWillMount() {
+    this.initScreenPanResponder();
     this.initSeekPanResponder();
     this.initVolumePanResponder();
+    this.player.loopPanResponders = {
+      start: this.createLoopPanResponder("start"),
+      end: this.createLoopPanResponder("end")
+    };
   }
 
   /**
@@ -591,6 +2649,67 @@ export default class VideoPlayer extends Component {
     this.mounted = true;
 
     this.setState({ volumeOffset: position });
+    this.startAnalytics();
+    this.startScreenReaderListener();
+    this.loadRememberedVolume();
+  }
+
+  /**
+   * Keep in sync with the props and keep the volume
+   * slider in sync when the volume changes from
+   * anywhere but the slider itself.
+   */
+  componentDidUpdate(prevProps, prevState) {
+    if (prevProps !== this.props) {
+      this.syncProps(prevProps);
+    }
+
+    const volumeChanged =
+      prevState.volume !== this.state.volume ||
+      prevState.muted !== this.state.muted;
+
+    if (volumeChanged && !this.player.adjustingVolume) {
+      const position = this.calculateVolumePositionFromVolume();
+      this.setVolumePosition(position);
+      this.setState({ volumeOffset: position });
+    }
+
+    if (volumeChanged && this.state.volume > 0) {
+      this.player.unmutedVolume = this.state.volume;
+    }
+
+    // Drags on the volume slider save once they're let go
+    if (volumeChanged && !this.player.adjustingVolume) {
+      this.saveRememberedVolume();
+    }
+
+    if (
+      prevState.showControls &&
+      !this.state.showControls &&
+      this.state.volumeExpanded
+    ) {
+      this.setState({ volumeExpanded: false });
+    }
+
+    // Playing on from a quiz point without the overlay finishes it
+    if (!this.state.paused && prevState.paused && this.state.activeQuizPoint) {
+      this.setState({ activeQuizPoint: null });
+    }
+
+    if (this.state.paused && !prevState.paused) {
+      this.saveResumePosition();
+    }
+
+    if (this.state.paused !== prevState.paused) {
+      this.analytics.pausedChanged = true;
+      this.trackEvent(this.state.paused ? "pause" : "play");
+    }
+
+    if (this.state.isFullscreen !== prevState.isFullscreen) {
+      this.trackEvent(
+        this.state.isFullscreen ? "fullscreenEnter" : "fullscreenExit"
+      );
+    }
   }
 
   /**
@@ -598,12 +2717,97 @@ export default class VideoPlayer extends Component {
    * timeout less it fire in the prev/next scene
    */
   componentWillUnmount() {
+    this.saveResumePosition();
     this.mounted = false;
     this.clearControlTimeout();
+    this.clearUpNextCountdown();
+    this.stopAnalytics();
+    this.stopScreenReaderListener();
+    clearTimeout(this.player.retryTimeout);
+    clearTimeout(this.player.singleTapTimeout);
+    this.player.scrub.cancel();
   }
 
   /**
-   * Get our seekbar responder going
+   * The screen responder handles taps anywhere on the
+   * video and, when turned on, the full screen
+   * swipes for volume and seeking. A touch only
+   * becomes a swipe once it moves far enough,
+   * otherwise it's handled as a tap.
+   */
+  initScreenPanResponder = () => {
+    this.player.screenPanResponder = PanResponder.create({
+      /**
+       * Remember where the touch started so we know which
+       * half of the screen a swipe belongs to. locationX
+       * is relative to whichever child was touched
+       * so we go from the page instead.
+       */
+      onStartShouldSetPanResponderCapture: (evt, gestureState) => {
+        this.player.touchStartX = evt.nativeEvent.pageX - this.player.pageX;
+        return false;
+      },
+      onStartShouldSetPanResponder: (evt, gestureState) => true,
+      onMoveShouldSetPanResponder: (evt, gestureState) =>
+        this.getSwipeMode(gestureState) !== null,
+
+      onPanResponderGrant: (evt, gestureState) => {
+        this.player.swipeMode = null;
+      },
+
+      /**
+       * Start a swipe once the touch has moved far
+       * enough then keep it updated.
+       */
+      onPanResponderMove: (evt, gestureState) => {
+        if (!this.player.swipeMode) {
+          const mode = this.getSwipeMode(gestureState);
+          if (mode) {
+            this.startSwipe(mode);
+          }
+        }
+
+        if (this.player.swipeMode === "volume") {
+          const position =
+            this.player.swipeStartPosition -
+            (gestureState.dy / this.player.height) *
+              this.props.volumeSwipeSensitivity *
+              this.player.volumeWidth;
+          this.updateVolumeFromPosition(position);
+        } else if (this.player.swipeMode === "seek") {
+          const time =
+            this.player.swipeStartTime +
+            ((gestureState.dx * this.getDragDirection()) / this.player.width) *
+              this.props.seekSwipeSensitivity;
+          this.setSwipeSeekTime(time);
+        }
+      },
+
+      /**
+       * Finish the swipe or, if it never became one
+       * and the touch stayed put, treat it as a tap.
+       */
+      onPanResponderRelease: (evt, gestureState) => {
+        if (this.player.swipeMode) {
+          this.endSwipe();
+        } else if (this.isTap(gestureState, this.player.swipeThreshold)) {
+          this.onScreenTouch();
+        }
+      },
+
+      onPanResponderTerminate: (evt, gestureState) => {
+        if (this.player.swipeMode) {
+          this.endSwipe();
+        }
+      }
+    });
+  };
+
+  /**
+   * Get our seekbar responder going. It covers the whole
+   * track, and a bit more, so tapping anywhere on it
+   * jumps there and dragging carries on from
+   * wherever the finger went down.
    */
   initSeekPanResponder() {
     this.player.seekPanResponder = PanResponder.create({
@@ -618,17 +2822,30 @@ export default class VideoPlayer extends Component {
        */
       onPanResponderGrant: (evt, gestureState) => {
         let state = this.state;
+        const position = this.constrainToSeekerMinMax(
+          this.getSeekbarTouchPosition(evt)
+        );
         this.clearControlTimeout();
         state.seeking = true;
+        state.seekerOffset = position;
         this.setState(state);
+        this.setSeekerPosition(position);
+
+        this.player.seekStartTime = state.currentTime;
+        if (this.props.onSeekStart) {
+          this.props.onSeekStart({ time: state.currentTime });
+        }
+        this.scrubTo(this.calculateTimeFromSeekerPosition());
       },
 
       /**
        * When panning, update the seekbar position, duh.
        */
       onPanResponderMove: (evt, gestureState) => {
-        const position = this.state.seekerOffset + gestureState.dx;
+        const position =
+          this.state.seekerOffset + gestureState.dx * this.getDragDirection();
         this.setSeekerPosition(position);
+        this.scrubTo(this.calculateTimeFromSeekerPosition());
       },
 
       /**
@@ -639,21 +2856,64 @@ export default class VideoPlayer extends Component {
       onPanResponderRelease: (evt, gestureState) => {
         const time = this.calculateTimeFromSeekerPosition();
         let state = this.state;
-        if (time >= state.duration && !state.loading) {
-          state.paused = true;
-          if (this.props.onEnd) {
-            this.props.onEnd();
-          }
+        this.player.scrub.cancel();
+
+        if (this.props.onSeekEnd) {
+          this.props.onSeekEnd({ from: this.player.seekStartTime, to: time });
+        }
+
+        if (time >= state.duration && !state.loading && !this.isLive()) {
+          state.seeking = false;
+          this.setState(state);
+          this.changePlaybackState({ paused: true });
+          this.onEnd();
         } else {
-          this.seekTo(time);
+          this.seekTo(time, this.player.seekStartTime);
           this.setControlTimeout();
           state.seeking = false;
+          this.setState(state);
         }
-        this.setState(state);
+      },
+
+      /**
+       * Something else took the touch, put the
+       * seekbar back where playback is.
+       */
+      onPanResponderTerminate: (evt, gestureState) => {
+        this.player.scrub.cancel();
+        this.setState({ seeking: false });
+        this.setSeekerPosition(this.calculateSeekerPosition());
+        this.setControlTimeout();
       }
     });
   }
 
+  /**
+   * Where along the seekbar a touch landed. React Native
+   * swaps left and right in RTL apps but touches are
+   * still measured from the left.
+   *
+   * @param {object} evt the touch event
+   * @return {float} position along the seekbar in px
+   */
+  getSeekbarTouchPosition = evt => {
+    const x = evt.nativeEvent.locationX;
+    return I18nManager.isRTL ? this.player.seekerWidth - x : x;
+  };
+
+  /**
+   * Seek while dragging...if live scrubbing is on.
+   * Seeks are throttled so we don't flood
+   * the video with them.
+   *
+   * @param {float} time time to scrub to in seconds
+   */
+  scrubTo = time => {
+    if (this.props.liveScrubbing) {
+      this.player.scrub(time);
+    }
+  };
+
   /**
    * Initialize the volume pan responder.
    */
@@ -662,38 +2922,43 @@ export default class VideoPlayer extends Component {
       onStartShouldSetPanResponder: (evt, gestureState) => true,
       onMoveShouldSetPanResponder: (evt, gestureState) => true,
       onPanResponderGrant: (evt, gestureState) => {
+        this.player.adjustingVolume = true;
+        this.player.volumeDragged = false;
         this.clearControlTimeout();
       },
 
       /**
-       * Update the volume as we change the position.
-       * If we go to 0 then turn on the mute prop
-       * to avoid that weird static-y sound.
+       * Update the volume as we change the position. A
+       * touch only counts as a drag once it moves
+       * further than a tap would.
        */
       onPanResponderMove: (evt, gestureState) => {
-        let state = this.state;
-        const position = this.state.volumeOffset + gestureState.dx;
-
-        this.setVolumePosition(position);
-        state.volume = this.calculateVolumeFromVolumePosition();
-
-        if (state.volume <= 0) {
-          state.muted = true;
-        } else {
-          state.muted = false;
+        if (!this.player.volumeDragged && this.isTap(gestureState)) {
+          return;
         }
+        this.player.volumeDragged = true;
 
-        this.setState(state);
+        const position =
+          this.state.volumeOffset + gestureState.dx * this.getDragDirection();
+        this.updateVolumeFromPosition(position);
       },
 
       /**
-       * Update the offset...
+       * Update the offset and remember the new volume...or
+       * if the handle was only tapped, mute or unmute.
        */
       onPanResponderRelease: (evt, gestureState) => {
         let state = this.state;
         state.volumeOffset = state.volumePosition;
+        this.player.adjustingVolume = false;
         this.setControlTimeout();
         this.setState(state);
+
+        if (this.player.volumeDragged) {
+          this.saveRememberedVolume();
+        } else {
+          this.toggleMute();
+        }
       }
     });
   };
@@ -710,21 +2975,73 @@ export default class VideoPlayer extends Component {
     |
     */
 
+  /**
+   * Render one of the named icons, either from the
+   * icons prop or the bundled ones.
+   *
+   * @param {string} name name of the icon
+   * @param {object} style extra style for image icons
+   * @param {bool} tint whether to tint image icons
+   */
+  renderIcon = (name, style = null, tint = true) =>
+    this.renderIconSource(
+      _.get(this.props.icons, name) || defaultIcons[name],
+      name,
+      style,
+      tint
+    );
+
+  /**
+   * Render an icon that's an image source, an element
+   * or a render function. Used for the named icons
+   * and the icons of custom buttons.
+   *
+   * @param {*} icon the icon to render
+   * @param {string} name name passed to render functions
+   * @param {object} style extra style for image icons
+   * @param {bool} tint whether to tint image icons
+   */
+  renderIconSource = (icon, name, style = null, tint = true) => {
+    const color = StyleSheet.flatten(this.styles.controls.icon).tintColor;
+
+    if (_.isFunction(icon)) {
+      return icon({ name, color });
+    }
+    if (React.isValidElement(icon)) {
+      return icon;
+    }
+    return (
+      <Image source={icon} style={[tint && this.styles.controls.icon, style]} />
+    );
+  };
+
   /**
    * Standard render control function that handles
    * everything except the sliders. Adds a
    * consistent <TouchableHighlight>
-   * wrapper and styling.
+   * wrapper and styling. Controls showing
+   * text are read out by their text,
+   * icons need a label.
    */
-  renderControl = (children, callback, style = {}) => (
+  renderControl = (
+    children,
+    callback,
+    style = {},
+    label = undefined,
+    accessibilityState = undefined
+  ) => (
     <TouchableHighlight
       underlayColor="transparent"
       activeOpacity={0.3}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+      accessibilityState={accessibilityState}
       onPress={() => {
         this.resetControlTimeout();
         callback();
       }}
-      style={[styles.controls.control, style]}
+      style={[this.styles.controls.control, style]}
     >
       {children}
     </TouchableHighlight>
@@ -733,27 +3050,163 @@ export default class VideoPlayer extends Component {
   /**
    * Renders an empty control, used to disable a control without breaking the view layout.
    */
-  renderNullControl = () => <View style={[styles.controls.control]} />;
+  renderNullControl = () => <View style={[this.styles.controls.control]} />;
+
+  /**
+   * Get the controls layout, bars missing from the
+   * controlsLayout prop keep their default layout.
+   */
+  getControlsLayout = () =>
+    _.assign({}, defaultControlsLayout, this.props.controlsLayout);
+
+  /**
+   * Render a single control of the controls layout. Either
+   * one of the built in controls by name or a custom
+   * button as { key, icon, onPress, style }.
+   *
+   * @param {string|object} control the control to render
+   */
+  renderLayoutControl = control => {
+    if (_.isPlainObject(control)) {
+      return this.renderControl(
+        this.renderIconSource(control.icon, control.key),
+        () => control.onPress && control.onPress(this.getStatus()),
+        control.style,
+        control.accessibilityLabel || control.key
+      );
+    }
+
+    switch (control) {
+      case "back":
+        return this.props.disableBack
+          ? this.renderNullControl()
+          : this.renderBack();
+      case "volume":
+        return this.props.disableVolume
+          ? this.renderNullControl()
+          : this.renderVolume();
+      case "fullscreen":
+        return this.props.disableFullscreen
+          ? this.renderNullControl()
+          : this.renderFullscreen();
+      case "rate":
+        return this.props.disableRate
+          ? this.renderNullControl()
+          : this.renderRate();
+      case "captions":
+        return this.renderCaptionControls();
+      case "loop":
+        return this.renderLoop();
+      case "seekbar":
+        if (this.props.disableSeekbar) {
+          return this.renderNullControl();
+        }
+        return this.isLive() && !this.canSeek() ? null : this.renderSeekbar();
+      case "playPause":
+        return this.props.disablePlayPause
+          ? this.renderNullControl()
+          : this.renderPlayPause();
+      case "timer":
+        if (this.props.disableTimer) {
+          return this.renderNullControl();
+        }
+        return this.isLive() ? this.renderLive() : this.renderTimer();
+      case "title":
+        return this.renderTitle();
+      case "previousItem":
+      case "nextItem":
+        return this.renderPlaylistControl(control);
+      case "previousChapter":
+      case "nextChapter":
+        return this.renderChapterControl(control);
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Render the controls of one bar. Groups are wrapped
+   * so their controls sit together, seekbars are
+   * split out onto a line of their own.
+   *
+   * @param {array} controls controls and groups of the bar
+   * @param {object} rowStyle style of each line of controls
+   */
+  renderControlsBar = (controls = [], rowStyle) => {
+    const lines = [];
+    let row = null;
+
+    controls.forEach((control, index) => {
+      const key = _.isPlainObject(control)
+        ? control.key
+        : `${control}-${index}`;
+
+      if (control === "seekbar") {
+        const seekbar = this.renderLayoutControl(control);
+        if (seekbar !== null) {
+          row = null;
+          lines.push({ key, seekbar });
+        }
+        return;
+      }
+
+      let element = null;
+      if (_.isArray(control)) {
+        const children = control
+          .map(this.renderLayoutControl)
+          .filter(child => child !== null);
+        element =
+          children.length > 1 ? (
+            <View
+              style={[
+                this.styles.controls.pullRight,
+                this.isMirrored() && this.styles.controls.reversed
+              ]}
+            >
+              {children.map((child, i) =>
+                React.cloneElement(child, { key: i })
+              )}
+            </View>
+          ) : (
+            children[0] || null
+          );
+      } else {
+        element = this.renderLayoutControl(control);
+      }
+
+      if (element !== null) {
+        if (row === null) {
+          row = { key, children: [] };
+          lines.push(row);
+        }
+        row.children.push(React.cloneElement(element, { key }));
+      }
+    });
+
+    return lines.map(line =>
+      line.seekbar ? (
+        React.cloneElement(line.seekbar, { key: line.key })
+      ) : (
+        <View
+          key={line.key}
+          style={[rowStyle, this.isMirrored() && this.styles.controls.reversed]}
+        >
+          {line.children}
+        </View>
+      )
+    );
+  };
 
   /**
    * Groups the top bar controls together in an animated
-   * view and spaces them out.
+   * view and lays them out as described by the
+   * controls layout.
    */
   renderTopControls = () => {
-    const backControl = this.props.disableBack
-      ? this.renderNullControl()
-      : this.renderBack();
-    const volumeControl = this.props.disableVolume
-      ? this.renderNullControl()
-      : this.renderVolume();
-    const fullscreenControl = this.props.disableFullscreen
-      ? this.renderNullControl()
-      : this.renderFullscreen();
-
     return (
       <Animated.View
         style={[
-          styles.controls.top,
+          this.styles.controls.top,
           {
             opacity: this.animations.topControl.opacity,
             marginTop: this.animations.topControl.marginTop
@@ -762,16 +3215,13 @@ export default class VideoPlayer extends Component {
       >
         <ImageBackground
           source={require("./assets/img/top-vignette.png")}
-          style={[styles.controls.column]}
-          imageStyle={[styles.controls.vignette]}
+          style={[this.styles.controls.column]}
+          imageStyle={[this.styles.controls.vignette]}
         >
-          <View style={styles.controls.topControlGroup}>
-            {backControl}
-            <View style={styles.controls.pullRight}>
-              {volumeControl}
-              {fullscreenControl}
-            </View>
-          </View>
+          {this.renderControlsBar(
+            this.getControlsLayout().top,
+            this.styles.controls.topControlGroup
+          )}
         </ImageBackground>
       </Animated.View>
     );
@@ -782,167 +3232,666 @@ export default class VideoPlayer extends Component {
    */
   renderBack = () => {
     return this.renderControl(
-      <Image
-        source={require("./assets/img/back.png")}
-        style={styles.controls.back}
-      />,
+      this.renderIcon("back", this.styles.controls.back),
       this.onBack,
-      styles.controls.back
+      this.styles.controls.back,
+      this.getString("back")
     );
   };
 
   /**
-   * Render the volume slider and attach the pan handlers
+   * Render the volume slider and attach the pan handlers.
+   * In compact mode it's just the icon until tapped.
+   */
+  renderVolume = () => {
+    if (this.props.compactVolume && !this.state.volumeExpanded) {
+      return this.renderControl(
+        this.renderVolumeIcon(),
+        this.expandVolume,
+        this.styles.controls.volume,
+        this.getString("volume")
+      );
+    }
+
+    return this.renderVolumeSlider();
+  };
+
+  /**
+   * The volume icon, faded or swapped for the
+   * muted icon while muted.
+   */
+  renderVolumeIcon = () =>
+    this.state.muted
+      ? this.renderIcon("volumeMuted", [
+          this.styles.volume.icon,
+          !_.get(this.props.icons, "volumeMuted") &&
+            this.styles.volume.mutedIcon
+        ])
+      : this.renderIcon("volume", this.styles.volume.icon);
+
+  /**
+   * Render the volume slider itself. The icon is
+   * the handle, tapping it mutes or unmutes.
    */
-  renderVolume = () => (
-    <View style={styles.volume.container}>
+  renderVolumeSlider = () => (
+    <View
+      style={[
+        this.styles.volume.container,
+        this.isMirrored() && this.styles.controls.mirrored
+      ]}
+      accessible={true}
+      accessibilityRole="adjustable"
+      accessibilityLabel={this.getString("volume")}
+      accessibilityValue={{
+        min: 0,
+        max: 100,
+        now: Math.round(this.state.volume * 100),
+        text: this.getString("volumeValue", {
+          volume: this.formatNumber(Math.round(this.state.volume * 100))
+        })
+      }}
+      accessibilityActions={[
+        { name: "increment" },
+        { name: "decrement" },
+        {
+          name: "activate",
+          label: this.getString(this.state.muted ? "unmute" : "mute")
+        }
+      ]}
+      onAccessibilityAction={this.onVolumeAccessibilityAction}
+    >
+      <View
+        style={[this.styles.volume.fill, { width: this.state.volumeFillWidth }]}
+      />
       <View
-        style={[styles.volume.fill, { width: this.state.volumeFillWidth }]}
+        style={[
+          this.styles.volume.track,
+          { width: this.state.volumeTrackWidth }
+        ]}
       />
       <View
-        style={[styles.volume.track, { width: this.state.volumeTrackWidth }]}
+        style={[this.styles.volume.handle, { left: this.state.volumePosition }]}
+        {...this.player.volumePanResponder.panHandlers}
+      >
+        {this.renderVolumeIcon()}
+      </View>
+    </View>
+  );
+
+  /**
+   * Render the CC toggle and, when there's more than
+   * one caption track, the language picker.
+   */
+  renderCaptionControls = () => {
+    const { captions, disableCaptions } = this.props;
+    if (disableCaptions || !captions || !captions.length) {
+      return null;
+    }
+
+    const track = captions[this.state.captionTrack];
+    const language = _.isString(track)
+      ? ""
+      : track.label || track.language || "";
+
+    return (
+      <View style={this.styles.controls.pullRight}>
+        {this.renderControl(
+          <Text
+            style={[
+              this.styles.controls.captionText,
+              !this.state.captionsEnabled && this.styles.controls.captionTextOff
+            ]}
+          >
+            {this.getString("captionsButton")}
+          </Text>,
+          this.toggleCaptions,
+          this.styles.controls.captions,
+          this.getString("captions"),
+          { checked: this.state.captionsEnabled }
+        )}
+        {captions.length > 1
+          ? this.renderControl(
+              <Text style={this.styles.controls.captionText}>
+                {language.toUpperCase()}
+              </Text>,
+              this.toggleCaptionMenu,
+              this.styles.controls.captions,
+              this.getString("captionLanguage", { language })
+            )
+          : null}
+      </View>
+    );
+  };
+
+  /**
+   * Render the A-B loop control. It shows whether
+   * we're waiting for B or looping.
+   */
+  renderLoop = () => {
+    const { loopStart, loopEnd } = this.state;
+    let action = "loopClear";
+    if (loopStart === null) {
+      action = "loopSetStart";
+    } else if (loopEnd === null) {
+      action = "loopSetEnd";
+    }
+
+    return this.renderControl(
+      <Text
+        style={[
+          this.styles.controls.loopText,
+          loopStart !== null && this.styles.controls.loopTextActive
+        ]}
+      >
+        {this.getString(action === "loopSetEnd" ? "loopPending" : "loop")}
+      </Text>,
+      this.toggleLoop,
+      this.styles.controls.loop,
+      this.getString(action)
+    );
+  };
+
+  /**
+   * Render the playback rate control showing the current rate.
+   */
+  renderRate = () => {
+    return this.renderControl(
+      <Text style={this.styles.controls.rateText}>
+        {this.getString("rateValue", {
+          rate: this.formatNumber(this.state.rate)
+        })}
+      </Text>,
+      this.toggleRate,
+      this.styles.controls.rate,
+      this.getString("rate", { rate: this.formatNumber(this.state.rate) })
+    );
+  };
+
+  /**
+   * Render fullscreen toggle and set icon based on the fullscreen state.
+   */
+  renderFullscreen = () => {
+    const isFullscreen = this.state.isFullscreen === true;
+    return this.renderControl(
+      this.renderIcon(isFullscreen ? "shrink" : "expand"),
+      this.toggleFullscreen,
+      this.styles.controls.fullscreen,
+      this.getString(isFullscreen ? "exitFullscreen" : "enterFullscreen")
+    );
+  }
+
+  /**
+   * Render bottom control group and wrap it in a holder
+   */
+  renderBottomControls = () => {
+    return (
+      <Animated.View
+        style={[
+          this.styles.controls.bottom,
+          {
+            opacity: this.animations.bottomControl.opacity,
+            marginBottom: this.animations.bottomControl.marginBottom
+          }
+        ]}
+      >
+        <ImageBackground
+          source={require("./assets/img/bottom-vignette.png")}
+          style={[this.styles.controls.column]}
+          imageStyle={[this.styles.controls.vignette]}
+        >
+          {this.renderControlsBar(this.getControlsLayout().bottom, [
+            this.styles.controls.row,
+            this.styles.controls.bottomControlGroup
+          ])}
+        </ImageBackground>
+      </Animated.View>
+    );
+  }
+
+  /**
+   * Render the previous or next playlist item
+   * control...if there's a playlist.
+   *
+   * @param {string} control 'previousItem' or 'nextItem'
+   */
+  renderPlaylistControl = control => {
+    const { playlist } = this.props;
+    if (
+      this.props.disablePlaylistControls ||
+      !playlist ||
+      playlist.length < 2
+    ) {
+      return null;
+    }
+
+    return control === "previousItem"
+      ? this.renderControl(
+          this.renderSkipIcon("previous", true),
+          this.playPrevious,
+          this.styles.controls.skip,
+          this.getString("previousItem")
+        )
+      : this.renderControl(
+          this.renderSkipIcon("next", true),
+          this.playNext,
+          this.styles.controls.skip,
+          this.getString("nextItem")
+        );
+  };
+
+  /**
+   * Render the previous or next chapter
+   * control...if there are chapters.
+   *
+   * @param {string} control 'previousChapter' or 'nextChapter'
+   */
+  renderChapterControl = control => {
+    if (this.props.disableChapterControls || !this.getChapters().length) {
+      return null;
+    }
+
+    return control === "previousChapter"
+      ? this.renderControl(
+          this.renderSkipIcon("previous"),
+          this.previousChapter,
+          this.styles.controls.skip,
+          this.getString("previousChapter")
+        )
+      : this.renderControl(
+          this.renderSkipIcon("next"),
+          this.nextChapter,
+          this.styles.controls.skip,
+          this.getString("nextChapter")
+        );
+  };
+
+  /**
+   * Use the skip icon from the icons prop or build one
+   * from the play icon and a bar. Playlist controls
+   * get a second play icon so they look different
+   * to the chapter controls.
+   *
+   * @param {string} direction 'previous' or 'next'
+   * @param {bool} double whether to show two play icons
+   */
+  renderSkipIcon = (direction, double = false) => {
+    const name = double ? `${direction}Item` : direction;
+    if (_.get(this.props.icons, name)) {
+      return this.renderIcon(name);
+    }
+
+    return (
+      <View
+        style={[
+          this.styles.controls.skipIcon,
+          direction === "previous" && this.styles.controls.skipIconPrevious
+        ]}
+      >
+        {this.renderIcon("play")}
+        {double && this.renderIcon("play")}
+        <View style={this.styles.controls.skipBar} />
+      </View>
+    );
+  };
+
+  /**
+   * Render a single quiz point marker on the seekbar.
+   * Markers are coloured by the point's status and
+   * tapping one seeks to that quiz point.
+   *
+   * @param {object} quizPoint the quiz point to render
+   */
+  renderQuizPoint = quizPoint => {
+    const leftCal = this.calculateSeekerPositionForTime(quizPoint.time);
+    const status = quizPoint.status || "pending";
+
+    return (
+      <TouchableHighlight
+        key={`quiz-${quizPoint.id}`}
+        underlayColor="transparent"
+        activeOpacity={0.3}
+        hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+        onPress={() => this.onQuizPointPress(quizPoint)}
+        style={[this.styles.quizPoints.marker, { left: leftCal }]}
+      >
+        <View>
+          {this.renderQuizPointLabel(quizPoint)}
+          <View
+            style={[
+              this.styles.quizPoints.point,
+              this.styles.quizPoints[status] || this.styles.quizPoints.pending
+            ]}
+          />
+        </View>
+      </TouchableHighlight>
+    );
+  };
+
+  /**
+   * Render the small tooltip above a quiz
+   * point marker...if it has a label.
+   *
+   * @param {object} quizPoint the quiz point to label
+   */
+  renderQuizPointLabel = quizPoint => {
+    if (quizPoint.label) {
+      return (
+        <View
+          style={[
+            this.styles.quizPoints.tooltip,
+            this.isMirrored() && this.styles.controls.mirrored
+          ]}
+          pointerEvents="none"
+        >
+          <Text style={this.styles.quizPoints.tooltipText} numberOfLines={1}>
+            {quizPoint.label}
+          </Text>
+        </View>
+      );
+    }
+    return null;
+  };
+
+  renderQuizPoints = () => {
+    const { quizPoints } = this.props;
+    if (!quizPoints || !this.player.seekerWidth || !this.canSeek()) {
+      return null;
+    }
+
+    // Live streams only show the points inside the DVR window
+    const { start, end } = this.getSeekableRange();
+    return (
+      <View style={this.styles.quizPoints.wrapper} pointerEvents="box-none">
+        {quizPoints
+          .filter(quizPoint => quizPoint.time >= start && quizPoint.time <= end)
+          .map(this.renderQuizPoint)}
+      </View>
+    );
+  };
+
+  /**
+   * Render the seekbar and attach its handlers. Only the
+   * track is adjustable so screen readers can still reach
+   * the quiz markers and loop handles next to it.
+   */
+  renderSeekbar = () => (
+    <View
+      style={[
+        this.styles.seekbar.container,
+        this.isMirrored() && this.styles.controls.mirrored
+      ]}
+    >
+      <View
+        style={[
+          this.styles.seekbar.track,
+          this.getChapters().length > 1 && this.styles.chapters.track
+        ]}
+        onLayout={event =>
+          (this.player.seekerWidth = event.nativeEvent.layout.width)
+        }
+        accessible={true}
+        accessibilityRole="adjustable"
+        accessibilityLabel={this.getString("seekbar")}
+        accessibilityValue={{
+          min: Math.round(this.getSeekableRange().start),
+          max: Math.round(this.getSeekableRange().end),
+          now: Math.round(this.state.currentTime),
+          text: this.isLive()
+            ? this.getString("behindLive", {
+                time: this.formatTime(this.getTimeBehindLive())
+              })
+            : this.getString("seekbarValue", {
+                time: this.formatTime(this.state.currentTime),
+                duration: this.formatTime(this.state.duration)
+              })
+        }}
+        accessibilityActions={[{ name: "increment" }, { name: "decrement" }]}
+        onAccessibilityAction={this.onSeekbarAccessibilityAction}
+      >
+        {this.renderSeekbarFill()}
+      </View>
+      <View
+        style={this.styles.seekbar.touchArea}
+        hitSlop={{ left: 10, right: 10 }}
+        {...this.player.seekPanResponder.panHandlers}
       />
+      {this.renderLoopRange()}
+      {this.renderQuizPoints()}
       <View
-        style={[styles.volume.handle, { left: this.state.volumePosition }]}
-        {...this.player.volumePanResponder.panHandlers}
+        pointerEvents="none"
+        style={[
+          this.styles.seekbar.handle,
+          { left: this.state.seekerPosition }
+        ]}
       >
-        <Image
-          style={styles.volume.icon}
-          source={require("./assets/img/volume.png")}
-        />
+        <View style={[this.styles.seekbar.circle, this.getSeekColorStyle()]} />
       </View>
+      {this.renderSeekPreview()}
     </View>
   );
 
   /**
-   * Render fullscreen toggle and set icon based on the fullscreen state.
+   * Highlight the A-B loop on the seekbar, with a
+   * handle at each end for adjusting it. While
+   * only A is set we just mark A.
    */
-  renderFullscreen = () => {
-    let source =
-      this.state.isFullscreen === true
-        ? require("./assets/img/shrink.png")
-        : require("./assets/img/expand.png");
-    return this.renderControl(
-      <Image source={source} />,
-      this.toggleFullscreen,
-      styles.controls.fullscreen
-    );
-  }
+  renderLoopRange = () => {
+    const { loopStart, loopEnd } = this.state;
+    if (loopStart === null || !this.player.seekerWidth || !this.canSeek()) {
+      return null;
+    }
+
+    const left = this.calculateSeekerPositionForTime(loopStart);
+    const handles = [
+      <View
+        key="loop-start"
+        style={[this.styles.seekbar.loopHandle, { left }]}
+        hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+        accessible={true}
+        accessibilityLabel={this.getString("loopStartHandle")}
+        {...this.player.loopPanResponders.start.panHandlers}
+      />
+    ];
+
+    if (loopEnd === null) {
+      return handles;
+    }
+
+    const right = this.calculateSeekerPositionForTime(loopEnd);
+    return [
+      <View
+        key="loop-range"
+        pointerEvents="none"
+        style={[this.styles.seekbar.loopRange, { left, width: right - left }]}
+      />,
+      ...handles,
+      <View
+        key="loop-end"
+        style={[this.styles.seekbar.loopHandle, { left: right }]}
+        hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+        accessible={true}
+        accessibilityLabel={this.getString("loopEndHandle")}
+        {...this.player.loopPanResponders.end.panHandlers}
+      />
+    ];
+  };
 
   /**
-   * Render bottom control group and wrap it in a holder
+   * Show the time, and a thumbnail if we have one,
+   * above the handle while the seekbar is being
+   * dragged. The bubble stays within the
+   * ends of the seekbar.
    */
-  renderBottomControls = () => {
-    const timerControl = this.props.disableTimer
-      ? this.renderNullControl()
-      : this.renderTimer();
-    const seekbarControl = this.props.disableSeekbar
-      ? this.renderNullControl()
-      : this.renderSeekbar();
-    const playPauseControl = this.props.disablePlayPause
-      ? this.renderNullControl()
-      : this.renderPlayPause();
+  renderSeekPreview = () => {
+    if (!this.state.seeking || !this.props.showSeekPreview) {
+      return null;
+    }
 
-    return (
-      <Animated.View
-        style={[
-          styles.controls.bottom,
-          {
-            opacity: this.animations.bottomControl.opacity,
-            marginBottom: this.animations.bottomControl.marginBottom
-          }
-        ]}
-      >
-        <ImageBackground
-          source={require("./assets/img/bottom-vignette.png")}
-          style={[styles.controls.column]}
-          imageStyle={[styles.controls.vignette]}
-        >
-          {seekbarControl}
-          <View
-            style={[styles.controls.row, styles.controls.bottomControlGroup]}
-          >
-            {playPauseControl}
-            {this.renderTitle()}
-            {timerControl}
-          </View>
-        </ImageBackground>
-      </Animated.View>
+    const time = this.calculateTimeFromSeekerPosition();
+    const thumbnail = findThumbnail(this.player.thumbnails, time);
+    const width = StyleSheet.flatten(this.styles.seekPreview.container).width;
+    // Thumbnails without a tile are drawn at the image style's size
+    let thumbnailWidth = 0;
+    if (thumbnail) {
+      thumbnailWidth =
+        thumbnail.width && thumbnail.height
+          ? thumbnail.width
+          : StyleSheet.flatten(this.styles.seekPreview.image).width;
+    }
+    const bubbleWidth = Math.max(thumbnailWidth || 0, width);
+    const left = Math.min(
+      Math.max(this.state.seekerPosition - bubbleWidth / 2, 0),
+      Math.max(this.player.seekerWidth - bubbleWidth, 0)
     );
-  }
 
-  renderQuizPoint = quizPoint => {
-    const leftCal =
-      (this.player.seekerWidth * quizPoint.time) / this.state.duration;
     return (
       <View
-        key={`quiz-${quizPoint.id}`}
-        style={[styles.quizPoints.point, { left: leftCal }]}
-      />
+        pointerEvents="none"
+        style={[
+          this.styles.seekPreview.container,
+          { left, width: bubbleWidth },
+          this.isMirrored() && this.styles.controls.mirrored
+        ]}
+      >
+        {thumbnail ? this.renderThumbnail(thumbnail) : null}
+        <Text style={this.styles.seekPreview.time}>
+          {this.formatTime(time)}
+        </Text>
+      </View>
     );
   };
 
-  renderQuizPoints = () => {
-    const { quizPoints } = this.props;
-    if (!quizPoints || !this.player.seekerWidth || !this.state.duration) {
-      return null;
+  /**
+   * Crop a thumbnail's tile out of its sprite sheet.
+   * Thumbnails without a tile show the whole
+   * image instead.
+   *
+   * @param {object} thumbnail the thumbnail to show
+   */
+  renderThumbnail = thumbnail => {
+    if (!thumbnail.width || !thumbnail.height) {
+      return (
+        <Image
+          source={{ uri: thumbnail.uri }}
+          style={this.styles.seekPreview.image}
+          resizeMode="cover"
+        />
+      );
+    }
+
+    let sheet = { width: thumbnail.sheetWidth, height: thumbnail.sheetHeight };
+    if (!sheet.width) {
+      this.loadThumbnailSheet(thumbnail.uri);
+      sheet = this.player.thumbnailSheets[thumbnail.uri];
     }
 
     return (
-      <View style={styles.quizPoints.wrapper}>
-        {quizPoints.map(this.renderQuizPoint)}
+      <View
+        style={[
+          this.styles.seekPreview.thumbnail,
+          { width: thumbnail.width, height: thumbnail.height }
+        ]}
+      >
+        {sheet.width ? (
+          <Image
+            source={{ uri: thumbnail.uri }}
+            style={{
+              position: "absolute",
+              left: -thumbnail.x,
+              top: -thumbnail.y,
+              width: sheet.width,
+              height: sheet.height
+            }}
+          />
+        ) : null}
       </View>
     );
-  }
+  };
 
   /**
-   * Render the seekbar and attach its handlers
+   * The seekColor prop still wins over the theme
+   * for the seekbar fill and handle.
+   *
+   * @return {object} style with the seek colour, null if not set
    */
-  renderSeekbar = () => (
-    <View style={styles.seekbar.container}>
-      <View
-        style={styles.seekbar.track}
-        onLayout={event =>
-          (this.player.seekerWidth = event.nativeEvent.layout.width)
-        }
-      >
+  getSeekColorStyle = () =>
+    this.props.seekColor ? { backgroundColor: this.props.seekColor } : null;
+
+  /**
+   * Render the played and buffered parts of the seekbar.
+   * With chapters the track is split into a gapped
+   * segment per chapter, each with its own fill.
+   */
+  renderSeekbarFill = () => {
+    const chapters = this.getChapters();
+    const { duration, seekerFillWidth, playableDuration } = this.state;
+    const width = this.player.seekerWidth;
+    const seekColor = this.getSeekColorStyle();
+    const bufferedWidth = Math.min(
+      Math.max(this.calculateSeekerPositionForTime(playableDuration), 0),
+      width || 0
+    );
+
+    if (chapters.length < 2 || !duration || !width || this.isLive()) {
+      return [
         <View
-          style={[
-            styles.seekbar.fill,
-            {
-              width: this.state.seekerFillWidth,
-              backgroundColor: this.props.seekColor || "#FFF"
-            }
-          ]}
-        />
-      </View>
-      {this.renderQuizPoints()}
-      <View
-        style={[styles.seekbar.handle, { left: this.state.seekerPosition }]}
-        {...this.player.seekPanResponder.panHandlers}
-      >
+          key="buffered"
+          style={[this.styles.seekbar.buffered, { width: bufferedWidth }]}
+        />,
         <View
+          key="fill"
           style={[
-            styles.seekbar.circle,
-            { backgroundColor: this.props.seekColor || "#FFF" }
+            this.styles.seekbar.fill,
+            { width: seekerFillWidth },
+            seekColor
           ]}
         />
-      </View>
-    </View>
-  );
+      ];
+    }
+
+    return chapters.map((chapter, index) => {
+      const next = chapters[index + 1];
+      const left = (width * Math.max(chapter.start, 0)) / duration;
+      const right = next ? (width * next.start) / duration : width;
+      const segmentWidth = Math.max(right - left - (next ? 2 : 0), 0);
+      const fillWidth = Math.min(
+        Math.max(seekerFillWidth - left, 0),
+        segmentWidth
+      );
+      const segmentBufferedWidth = Math.min(
+        Math.max(bufferedWidth - left, 0),
+        segmentWidth
+      );
+
+      return (
+        <View
+          key={`chapter-${index}`}
+          style={[this.styles.chapters.segment, { left, width: segmentWidth }]}
+        >
+          <View
+            style={[
+              this.styles.seekbar.buffered,
+              { width: segmentBufferedWidth }
+            ]}
+          />
+          <View
+            style={[this.styles.seekbar.fill, { width: fillWidth }, seekColor]}
+          />
+        </View>
+      );
+    });
+  };
 
   /**
    * Render the play/pause button and show the respective icon
    */
   renderPlayPause = () => {
-    let source =
-      this.state.paused === true
-        ? require("./assets/img/play.png")
-        : require("./assets/img/pause.png");
+    const icon = this.state.paused === true ? "play" : "pause";
     return this.renderControl(
-      <Image source={source} />,
+      this.renderIcon(icon),
       this.togglePlayPause,
-      styles.controls.playPause
+      this.styles.controls.playPause,
+      this.getString(icon)
     );
   }
 
@@ -950,16 +3899,37 @@ export default class VideoPlayer extends Component {
    * Render our title...if supplied.
    */
   renderTitle = () => {
-    const { title } = this.props;
-    if (title) {
+    const item = this.getPlaylistItem();
+    const title = item && item.title ? item.title : this.props.title;
+    const chapter = this.getChapters()[this.state.chapterIndex];
+
+    if (title || chapter) {
       return (
-        <View style={[styles.controls.control, styles.controls.title]}>
-          <Text
-            style={[styles.controls.text, styles.controls.titleText]}
-            numberOfLines={1}
-          >
-            {title}
-          </Text>
+        <View
+          style={[this.styles.controls.control, this.styles.controls.title]}
+        >
+          {title ? (
+            <Text
+              style={[
+                this.styles.controls.text,
+                this.styles.controls.titleText
+              ]}
+              numberOfLines={1}
+            >
+              {title}
+            </Text>
+          ) : null}
+          {chapter ? (
+            <Text
+              style={[
+                this.styles.controls.text,
+                this.styles.chapters.titleText
+              ]}
+              numberOfLines={1}
+            >
+              {chapter.title}
+            </Text>
+          ) : null}
         </View>
       );
     }
@@ -972,23 +3942,60 @@ export default class VideoPlayer extends Component {
    */
   renderTimer = () => {
     return this.renderControl(
-      <Text style={styles.controls.timerText}>{this.calculateTime()}</Text>,
+      <Text style={this.styles.controls.timerText}>
+        {this.calculateTime()}
+      </Text>,
       this.toggleTimer,
-      styles.controls.timer
+      [
+        this.styles.controls.timer,
+        this.state.timerMode === "total" && this.styles.controls.timerTotal
+      ],
+      this.getString("timer", { time: this.calculateTime() })
     );
   }
 
   /**
-   * Show loading icon
+   * Show the LIVE badge in place of the timer. When
+   * playback falls behind the live edge we show
+   * how far behind it is and tapping the
+   * badge goes back to live.
+   */
+  renderLive = () => {
+    const atLiveEdge = this.isAtLiveEdge();
+
+    return this.renderControl(
+      <View style={this.styles.live.badge}>
+        {atLiveEdge ? null : (
+          <Text style={this.styles.live.behindText}>
+            {this.getString("behindLive", {
+              time: this.formatTime(this.getTimeBehindLive())
+            })}
+          </Text>
+        )}
+        <View
+          style={[
+            this.styles.live.dot,
+            !atLiveEdge && this.styles.live.dotBehind
+          ]}
+        />
+        <Text style={this.styles.live.text}>{this.getString("live")}</Text>
+      </View>,
+      this.goLive,
+      this.styles.live.container,
+      this.getString(atLiveEdge ? "live" : "goLive")
+    );
+  };
+
+  /**
+   * Show loading icon while loading or buffering
    */
   renderLoader = () => {
-    if (this.state.loading) {
+    if (this.state.loading || this.state.buffering) {
       return (
-        <View style={styles.loader.container}>
-          <Animated.Image
-            source={require("./assets/img/loader-icon.png")}
+        <View style={this.styles.loader.container}>
+          <Animated.View
             style={[
-              styles.loader.icon,
+              this.styles.loader.icon,
               {
                 transform: [
                   {
@@ -1000,58 +4007,334 @@ export default class VideoPlayer extends Component {
                 ]
               }
             ]}
-          />
+          >
+            {this.renderIcon("loader", null, false)}
+          </Animated.View>
         </View>
       );
     }
     return null;
   }
 
+  /**
+   * Show the error overlay with a retry button, or
+   * the user's own error UI from the renderError
+   * prop.
+   */
   renderError = () => {
-    if (this.state.error) {
+    const { error } = this.state;
+    if (!error) {
+      return null;
+    }
+
+    if (this.props.renderError) {
       return (
-        <View style={styles.error.container}>
-          <Image
-            source={require("./assets/img/error-icon.png")}
-            style={styles.error.icon}
-          />
-          <Text style={styles.error.text}>Video unavailable</Text>
+        <View style={this.styles.error.container}>
+          {this.props.renderError(error, this.retry)}
+        </View>
+      );
+    }
+
+    return (
+      <View style={this.styles.error.container}>
+        {this.renderIcon("error", this.styles.error.icon, false)}
+        <Text style={this.styles.error.text}>
+          {this.getString("videoUnavailable")}
+        </Text>
+        {this.renderControl(
+          <Text style={this.styles.error.retryText}>
+            {this.getString("retry")}
+          </Text>,
+          this.retry,
+          this.styles.error.retry
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Render the "-10s / +10s" ripple on the side
+   * of the screen a double tap seeked from.
+   */
+  renderSeekRipple = () => {
+    const time = this.state.seekRippleTime;
+    if (!time) {
+      return null;
+    }
+
+    return (
+      <Animated.View
+        pointerEvents="none"
+        style={[
+          this.styles.seekRipple.container,
+          time < 0 ? this.styles.seekRipple.left : this.styles.seekRipple.right,
+          { opacity: this.animations.seekRipple.opacity }
+        ]}
+      >
+        <Text style={this.styles.seekRipple.text}>
+          {this.getString(
+            time < 0 ? "seekBackwardRipple" : "seekForwardRipple",
+            { seconds: this.formatNumber(Math.abs(time)) }
+          )}
+        </Text>
+      </Animated.View>
+    );
+  };
+
+  /**
+   * Render the time readout in the middle of the
+   * screen while a seek swipe is in progress.
+   */
+  renderSwipeSeek = () => {
+    const time = this.state.swipeSeekTime;
+    if (time === null) {
+      return null;
+    }
+
+    return (
+      <View style={this.styles.swipe.container} pointerEvents="none">
+        <View style={this.styles.swipe.readout}>
+          <Text style={this.styles.swipe.text}>
+            {this.getString("timeOfDuration", {
+              time: this.formatTime(time),
+              duration: this.formatTime(this.state.duration)
+            })}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Render the active caption cues. Bottom cues sit
+   * above the bottom controls while they're
+   * showing and move down when they hide.
+   */
+  renderCaptions = () => {
+    const { captionsEnabled, captionTrack, currentTime } = this.state;
+    const cues = findCues(this.player.captionCues[captionTrack], currentTime);
+
+    if (!captionsEnabled || !cues.length) {
+      return null;
+    }
+
+    const [top, bottom] = _.partition(cues, cue => cue.position === "top");
+    return (
+      <View style={this.styles.captions.container} pointerEvents="none">
+        <View style={this.styles.captions.top}>{top.map(this.renderCue)}</View>
+        <View
+          style={[
+            this.styles.captions.bottom,
+            this.state.showControls && this.styles.captions.raised
+          ]}
+        >
+          {bottom.map(this.renderCue)}
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Render a single caption cue with its italic
+   * and bold runs of text.
+   *
+   * @param {object} cue the cue to render
+   * @param {int} index index of the cue
+   */
+  renderCue = (cue, index) => (
+    <View key={`cue-${index}`} style={this.styles.captions[cue.align]}>
+      <Text style={this.styles.captions.text}>
+        {cue.spans.map((span, spanIndex) => (
+          <Text
+            key={`span-${spanIndex}`}
+            style={[
+              span.italic && this.styles.captions.italic,
+              span.bold && this.styles.captions.bold
+            ]}
+          >
+            {span.text}
+          </Text>
+        ))}
+      </Text>
+    </View>
+  );
+
+  /**
+   * Render the caption language menu listing
+   * every caption track.
+   */
+  renderCaptionMenu = () => {
+    const { captions } = this.props;
+    if (!this.state.showCaptionMenu || !captions) {
+      return null;
+    }
+
+    return (
+      <View style={this.styles.captions.menu}>
+        {captions.map((track, index) => (
+          <View key={`caption-track-${index}`}>
+            {this.renderControl(
+              <Text
+                style={[
+                  this.styles.captions.menuText,
+                  index === this.state.captionTrack &&
+                    this.styles.captions.menuTextActive
+                ]}
+              >
+                {track.label || track.language || `${index + 1}`}
+              </Text>,
+              () => this.selectCaptionTrack(index),
+              this.styles.captions.menuItem,
+              undefined,
+              { selected: index === this.state.captionTrack }
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  /**
+   * Render the up next countdown shown at the end
+   * of a playlist item, with buttons to cancel
+   * it or play the next item straight away.
+   */
+  renderUpNext = () => {
+    const { upNextCountdown } = this.state;
+    const next = this.getPlaylistItem(1);
+
+    if (upNextCountdown === null || !next) {
+      return null;
+    }
+
+    return (
+      <View style={this.styles.upNext.container}>
+        <Text style={this.styles.upNext.countdown}>
+          {this.getString("upNext", {
+            seconds: this.formatNumber(upNextCountdown)
+          })}
+        </Text>
+        {next.title ? (
+          <Text style={this.styles.upNext.title} numberOfLines={2}>
+            {next.title}
+          </Text>
+        ) : null}
+        <View style={this.styles.controls.row}>
+          {this.renderControl(
+            <Text style={this.styles.upNext.button}>
+              {this.getString("cancel")}
+            </Text>,
+            this.cancelUpNext
+          )}
+          {this.renderControl(
+            <Text style={this.styles.upNext.button}>
+              {this.getString("playNow")}
+            </Text>,
+            this.playNext
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Render the prompt asking whether to resume
+   * from the saved position or start over.
+   */
+  renderResumePrompt = () => {
+    const { resumeTime } = this.state;
+    if (resumeTime === null) {
+      return null;
+    }
+
+    return (
+      <View style={this.styles.resume.container}>
+        {this.renderControl(
+          <Text style={this.styles.resume.text}>
+            {this.getString("resumeFrom", {
+              time: this.formatTime(resumeTime)
+            })}
+          </Text>,
+          this.resumeFromSaved
+        )}
+        {this.renderControl(
+          <Text style={this.styles.resume.text}>
+            {this.getString("startOver")}
+          </Text>,
+          this.startOver
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Render the caller supplied quiz overlay while
+   * playback is paused at a quiz point.
+   */
+  renderQuizOverlay = () => {
+    const { activeQuizPoint } = this.state;
+    if (activeQuizPoint && this.props.renderQuizOverlay) {
+      return (
+        <View style={this.styles.quizPoints.overlay}>
+          {this.props.renderQuizOverlay(
+            activeQuizPoint,
+            this.completeQuizPoint
+          )}
         </View>
       );
     }
     return null;
-  }
+  };
 
   /**
    * Provide all of our options and render the whole component.
    */
   render() {
     return (
-      <TouchableWithoutFeedback
-        onPress={this.onScreenTouch}
-        style={[styles.player.container, this.styles.containerStyle]}
+      <View
+        style={[this.styles.player.container, this.styles.containerStyle]}
+        ref={container => (this.player.container = container)}
+        onLayout={event => {
+          this.player.width = event.nativeEvent.layout.width;
+          this.player.height = event.nativeEvent.layout.height;
+          if (this.player.container) {
+            this.player.container.measure(
+              (x, y, width, height, pageX) => (this.player.pageX = pageX || 0)
+            );
+          }
+        }}
+        {...this.player.screenPanResponder.panHandlers}
       >
-        <View style={[styles.player.container, this.styles.containerStyle]}>
-          <Video
-            {...this.props}
-            ref={videoPlayer => (this.player.ref = videoPlayer)}
-            resizeMode={this.state.resizeMode}
-            volume={this.state.volume}
-            paused={this.state.paused}
-            muted={this.state.muted}
-            rate={this.state.rate}
-            onLoadStart={this.onLoadStart}
-            onProgress={this.onProgress}
-            onError={this.onError}
-            onLoad={this.onLoad}
-            style={[styles.player.video, this.styles.videoStyle]}
-          />
-          {this.renderError()}
-          {this.renderTopControls()}
-          {this.renderLoader()}
-          {this.renderBottomControls()}
-        </View>
-      </TouchableWithoutFeedback>
+        <Video
+          {..._.omit(this.props, ["controlled", "fullscreen"])}
+          key={`video-${this.state.retryCount}`}
+          ref={videoPlayer => (this.player.ref = videoPlayer)}
+          source={this.getSource()}
+          resizeMode={this.state.resizeMode}
+          volume={this.state.volume}
+          paused={this.state.paused}
+          muted={this.state.muted}
+          rate={this.state.rate}
+          onLoadStart={this.onLoadStart}
+          onProgress={this.onProgress}
+          onError={this.onError}
+          onLoad={this.onLoad}
+          onEnd={this.onEnd}
+          onBuffer={this.onBuffer}
+          style={[this.styles.player.video, this.styles.videoStyle]}
+        />
+        {this.renderError()}
+        {this.renderSeekRipple()}
+        {this.renderSwipeSeek()}
+        {this.renderCaptions()}
+        {this.renderTopControls()}
+        {this.renderLoader()}
+        {this.renderBottomControls()}
+        {this.renderResumePrompt()}
+        {this.renderUpNext()}
+        {this.renderCaptionMenu()}
+        {this.renderQuizOverlay()}
+      </View>
     );
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * Create a queue that collects analytics events and hands them
+ * over in batches, either once enough events are waiting or
+ * every interval, whichever comes first. Nothing is sent
+ * anywhere, onFlush decides where the events go.
+ *
+ * @param {object} options { size, interval, onFlush }
+ * @return {object} the queue with push, flush and stop functions
+ */
+export function createAnalyticsQueue({
+  size = 10,
+  interval = 30000,
+  onFlush = () => {}
+} = {}) {
+  let events = [];
+
+  const flush = () => {
+    if (events.length) {
+      const batch = events;
+      events = [];
+      onFlush(batch);
+    }
+  };
+
+  const timer = interval ? setInterval(flush, interval) : null;
+
+  return {
+    push(event) {
+      events.push(event);
+      if (events.length >= size) {
+        flush();
+      }
+    },
+    flush,
+
+    /**
+     * Stop the interval and send whatever is left.
+     */
+    stop() {
+      clearInterval(timer);
+      flush();
+    }
+  };
+}
+
+/**
+ * Create a fairly unique id for a viewing session.
+ *
+ * @return {string} session id
+ */
+export function createSessionId() {
+  return `${new Date().getTime().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+}
@@ -0,0 +1,156 @@
+/**
+ * Parse WebVTT or SRT caption text into a list of cues. Both
+ * formats lay out their cues the same way, so one parser
+ * handles both and simply skips the WEBVTT header.
+ *
+ * @param {string} text the caption file contents
+ * @return {array} cues as { start, end, position, align, spans }
+ */
+export function parseCaptions(text = "") {
+  const blocks = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+
+  return blocks.map(parseCue).filter(cue => cue !== null);
+}
+
+/**
+ * Find the cues showing at a given time.
+ *
+ * @param {array} cues cues from parseCaptions
+ * @param {float} time time in seconds
+ * @return {array} the active cues
+ */
+export function findCues(cues = [], time = 0) {
+  return cues.filter(cue => cue.start <= time && time < cue.end);
+}
+
+/**
+ * Parse a single block of lines into a cue. Blocks without
+ * a timing line (the WEBVTT header, NOTE and STYLE
+ * blocks) aren't cues so we skip them.
+ *
+ * @param {string} block lines of a single caption block
+ * @return {object} the cue or null
+ */
+function parseCue(block) {
+  const lines = block.split("\n");
+  const timingIndex = lines.findIndex(line => line.indexOf("-->") !== -1);
+
+  if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+    return null;
+  }
+
+  const [start, rest = ""] = lines[timingIndex].split("-->");
+  const [end, ...settings] = rest.trim().split(/\s+/);
+  let text = lines
+    .slice(timingIndex + 1)
+    .join("\n")
+    .trim();
+  let position = "bottom";
+  let align = "center";
+
+  // SRT files position cues with {\an8} style tags
+  const tag = text.match(/\{\\an(\d)\}/);
+  if (tag && Number(tag[1]) >= 7) {
+    position = "top";
+  }
+  text = text.replace(/\{\\[^}]*\}/g, "");
+
+  settings.forEach(setting => {
+    const [key, value = ""] = setting.split(":");
+    if (key === "line") {
+      const line = value.split(",")[0];
+      const isTop = /%$/.test(line) ? parseFloat(line) < 50 : Number(line) >= 0;
+      position = isTop ? "top" : "bottom";
+    } else if (key === "align") {
+      if (value === "start" || value === "left") {
+        align = "left";
+      } else if (value === "end" || value === "right") {
+        align = "right";
+      }
+    }
+  });
+
+  return {
+    start: parseTimestamp(start),
+    end: parseTimestamp(end),
+    position,
+    align,
+    spans: parseSpans(text)
+  };
+}
+
+/**
+ * Turn a timestamp as hh:mm:ss.mmm (or with a comma in SRT)
+ * into seconds. Hours are optional.
+ *
+ * @param {string} timestamp the timestamp
+ * @return {float} time in seconds
+ */
+function parseTimestamp(timestamp = "") {
+  return timestamp
+    .trim()
+    .replace(",", ".")
+    .split(":")
+    .reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+}
+
+/**
+ * Split cue text into runs of plain, italic and bold text.
+ * Other tags like voices, classes and karaoke
+ * timestamps are dropped.
+ *
+ * @param {string} text the cue text
+ * @return {array} spans as { text, italic, bold }
+ */
+function parseSpans(text) {
+  text = text.replace(/<\d{2}:[\d:.]+>/g, "");
+  const spans = [];
+  const tags = /<(\/)?([a-z]+)[^>]*>/gi;
+  let italic = 0;
+  let bold = 0;
+  let index = 0;
+  let match;
+
+  const push = value => {
+    if (value) {
+      spans.push({
+        text: decodeEntities(value),
+        italic: italic > 0,
+        bold: bold > 0
+      });
+    }
+  };
+
+  while ((match = tags.exec(text)) !== null) {
+    push(text.slice(index, match.index));
+    index = tags.lastIndex;
+
+    const step = match[1] ? -1 : 1;
+    const name = match[2].toLowerCase();
+    if (name === "i") {
+      italic = Math.max(italic + step, 0);
+    } else if (name === "b") {
+      bold = Math.max(bold + step, 0);
+    }
+  }
+  push(text.slice(index));
+
+  return spans;
+}
+
+/**
+ * Decode the few HTML entities allowed in cue text.
+ *
+ * @param {string} text the cue text
+ * @return {string} decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
@@ -1,7 +1,36 @@
 import { StyleSheet } from "react-native";
+import _ from "lodash";
 
-export default {
-  player: StyleSheet.create({
+/**
+ * The default theme. Any of these can be overridden
+ * through the theme prop on the <VideoPlayer>.
+ */
+export const defaultTheme = {
+  primaryColor: "#FFF",
+  secondaryColor: "#CACACA",
+  trackColor: "#333",
+  fillColor: "#FFF",
+  bufferedColor: "rgba( 255, 255, 255, 0.4 )",
+  errorColor: "#f27474",
+  loopColor: "rgba( 255, 193, 7, 0.8 )",
+  iconColor: undefined,
+  handleSize: 12,
+  fontFamily: undefined,
+  fontSize: 14,
+  smallFontSize: 11,
+  largeFontSize: 16,
+  showVignette: true,
+  controlSpacing: 16
+};
+
+/**
+ * Build the raw style definitions for a theme.
+ *
+ * @param {object} theme a complete theme
+ * @return {object} style definitions grouped by sheet
+ */
+const buildStyles = theme => ({
+  player: {
     container: {
       backgroundColor: "#000",
       flex: 1,
@@ -16,8 +45,8 @@ export default {
       bottom: 0,
       left: 0
     }
-  }),
-  error: StyleSheet.create({
+  },
+  error: {
     container: {
       backgroundColor: "rgba( 0, 0, 0, 0.5 )",
       position: "absolute",
@@ -33,10 +62,21 @@ export default {
     },
     text: {
       backgroundColor: "transparent",
-      color: "#f27474"
+      color: theme.errorColor,
+      fontFamily: theme.fontFamily
+    },
+    retry: {
+      marginTop: 8
+    },
+    retryText: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
     }
-  }),
-  loader: StyleSheet.create({
+  },
+  loader: {
     container: {
       position: "absolute",
       top: 0,
@@ -46,8 +86,8 @@ export default {
       alignItems: "center",
       justifyContent: "center"
     }
-  }),
-  controls: StyleSheet.create({
+  },
+  controls: {
     row: {
       flexDirection: "row",
       alignItems: "center",
@@ -63,15 +103,20 @@ export default {
       width: null
     },
     vignette: {
+      opacity: theme.showVignette ? 1 : 0,
       resizeMode: "stretch"
     },
     control: {
-      padding: 16
+      padding: theme.controlSpacing
+    },
+    icon: {
+      tintColor: theme.iconColor || theme.primaryColor
     },
     text: {
       backgroundColor: "transparent",
-      color: "#FFF",
-      fontSize: 14,
+      color: theme.primaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily,
       textAlign: "center"
     },
     pullRight: {
@@ -79,6 +124,12 @@ export default {
       alignItems: "center",
       justifyContent: "center"
     },
+    reversed: {
+      flexDirection: "row-reverse"
+    },
+    mirrored: {
+      transform: [{ scaleX: -1 }]
+    },
     top: {
       flex: 1,
       alignItems: "stretch",
@@ -126,17 +177,73 @@ export default {
     titleText: {
       textAlign: "center"
     },
+    skip: {
+      flexDirection: "row"
+    },
+    skipIcon: {
+      flexDirection: "row",
+      alignItems: "center"
+    },
+    skipIconPrevious: {
+      transform: [{ scaleX: -1 }]
+    },
+    skipBar: {
+      backgroundColor: theme.primaryColor,
+      height: 13,
+      marginLeft: 2,
+      width: 2
+    },
+    captions: {
+      flexDirection: "row"
+    },
+    captionText: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    },
+    captionTextOff: {
+      opacity: 0.5
+    },
     timer: {
       width: 80
     },
+    timerTotal: {
+      width: 140
+    },
+    rate: {
+      flexDirection: "row"
+    },
+    rateText: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    },
+    loop: {
+      flexDirection: "row"
+    },
+    loopText: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    },
+    loopTextActive: {
+      color: theme.loopColor
+    },
     timerText: {
       backgroundColor: "transparent",
-      color: "#FFF",
-      fontSize: 11,
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
       textAlign: "right"
     }
-  }),
-  volume: StyleSheet.create({
+  },
+  volume: {
     container: {
       alignItems: "center",
       justifyContent: "flex-start",
@@ -147,12 +254,12 @@ export default {
       width: 150
     },
     track: {
-      backgroundColor: "#333",
+      backgroundColor: theme.trackColor,
       height: 1,
       marginLeft: 7
     },
     fill: {
-      backgroundColor: "#FFF",
+      backgroundColor: theme.fillColor,
       height: 1
     },
     handle: {
@@ -163,9 +270,12 @@ export default {
     },
     icon: {
       marginLeft: 7
+    },
+    mutedIcon: {
+      opacity: 0.5
     }
-  }),
-  seekbar: StyleSheet.create({
+  },
+  seekbar: {
     container: {
       alignSelf: "stretch",
       height: 28,
@@ -173,17 +283,46 @@ export default {
       marginRight: 20
     },
     track: {
-      backgroundColor: "#333",
+      backgroundColor: theme.trackColor,
       height: 1,
       position: "relative",
       top: 14,
       width: "100%"
     },
     fill: {
-      backgroundColor: "#FFF",
+      backgroundColor: theme.fillColor,
       height: 1,
       width: "100%"
     },
+    buffered: {
+      backgroundColor: theme.bufferedColor,
+      height: 1,
+      position: "absolute",
+      top: 0,
+      left: 0
+    },
+    loopRange: {
+      backgroundColor: theme.loopColor,
+      height: 3,
+      position: "absolute",
+      top: 13
+    },
+    loopHandle: {
+      backgroundColor: theme.loopColor,
+      borderRadius: 1,
+      height: 14,
+      marginLeft: -2,
+      position: "absolute",
+      top: 7,
+      width: 4
+    },
+    touchArea: {
+      position: "absolute",
+      top: -10,
+      bottom: -10,
+      left: 0,
+      right: 0
+    },
     handle: {
       position: "absolute",
       marginLeft: -7,
@@ -191,26 +330,334 @@ export default {
       width: 28
     },
     circle: {
-      borderRadius: 12,
+      backgroundColor: theme.fillColor,
+      borderRadius: theme.handleSize / 2,
       position: "relative",
-      top: 8,
-      left: 8,
-      height: 12,
-      width: 12
+      top: 14 - theme.handleSize / 2,
+      left: 14 - theme.handleSize / 2,
+      height: theme.handleSize,
+      width: theme.handleSize
     }
-  }),
-  quizPoints: StyleSheet.create({
-    wrapper: {
+  },
+  live: {
+    container: {
+      alignItems: "flex-end",
+      minWidth: 80
+    },
+    badge: {
       flexDirection: "row",
+      alignItems: "center"
+    },
+    dot: {
+      backgroundColor: theme.errorColor,
+      borderRadius: 4,
+      height: 8,
+      marginRight: 5,
+      width: 8
+    },
+    dotBehind: {
+      backgroundColor: theme.secondaryColor
+    },
+    text: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    },
+    behindText: {
+      backgroundColor: "transparent",
+      color: theme.secondaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      marginRight: 8
+    }
+  },
+  seekPreview: {
+    container: {
+      alignItems: "center",
+      backgroundColor: "rgba( 0, 0, 0, 0.75 )",
+      borderRadius: 4,
+      bottom: 26,
+      overflow: "hidden",
       position: "absolute",
-      marginTop: 10
+      width: 60
+    },
+    thumbnail: {
+      overflow: "hidden"
+    },
+    image: {
+      height: 90,
+      width: 160
+    },
+    time: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      padding: 4
+    }
+  },
+  seekRipple: {
+    container: {
+      backgroundColor: "rgba( 255, 255, 255, 0.15 )",
+      position: "absolute",
+      top: 0,
+      bottom: 0,
+      width: "33%",
+      alignItems: "center",
+      justifyContent: "center"
+    },
+    left: {
+      left: 0,
+      borderTopRightRadius: 200,
+      borderBottomRightRadius: 200
+    },
+    right: {
+      right: 0,
+      borderTopLeftRadius: 200,
+      borderBottomLeftRadius: 200
+    },
+    text: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    }
+  },
+  swipe: {
+    container: {
+      position: "absolute",
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0,
+      alignItems: "center",
+      justifyContent: "center"
+    },
+    readout: {
+      backgroundColor: "rgba( 0, 0, 0, 0.5 )",
+      borderRadius: 4,
+      paddingHorizontal: 12,
+      paddingVertical: 6
+    },
+    text: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.largeFontSize,
+      fontFamily: theme.fontFamily
+    }
+  },
+  chapters: {
+    track: {
+      backgroundColor: "transparent"
+    },
+    segment: {
+      backgroundColor: theme.trackColor,
+      height: 1,
+      position: "absolute",
+      top: 0
+    },
+    titleText: {
+      color: theme.secondaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily,
+      textAlign: "center"
+    }
+  },
+  captions: {
+    container: {
+      position: "absolute",
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0,
+      justifyContent: "space-between"
+    },
+    top: {
+      marginTop: 24,
+      marginLeft: 20,
+      marginRight: 20
+    },
+    bottom: {
+      marginBottom: 24,
+      marginLeft: 20,
+      marginRight: 20
+    },
+    raised: {
+      marginBottom: 90
+    },
+    left: {
+      alignItems: "flex-start"
+    },
+    center: {
+      alignItems: "center"
+    },
+    right: {
+      alignItems: "flex-end"
+    },
+    text: {
+      backgroundColor: "rgba( 0, 0, 0, 0.7 )",
+      color: theme.primaryColor,
+      fontSize: theme.largeFontSize,
+      fontFamily: theme.fontFamily,
+      paddingHorizontal: 6,
+      paddingVertical: 2,
+      textAlign: "center"
+    },
+    italic: {
+      fontStyle: "italic"
+    },
+    bold: {
+      fontWeight: "bold"
+    },
+    menu: {
+      backgroundColor: "rgba( 0, 0, 0, 0.8 )",
+      borderRadius: 4,
+      position: "absolute",
+      top: 60,
+      right: 12
+    },
+    menuItem: {
+      paddingVertical: 10
+    },
+    menuText: {
+      backgroundColor: "transparent",
+      color: theme.secondaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily
+    },
+    menuTextActive: {
+      color: theme.primaryColor,
+      fontWeight: "bold"
+    }
+  },
+  resume: {
+    container: {
+      backgroundColor: "rgba( 0, 0, 0, 0.7 )",
+      borderRadius: 4,
+      flexDirection: "row",
+      position: "absolute",
+      bottom: 100,
+      left: 20
+    },
+    text: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily
+    }
+  },
+  upNext: {
+    container: {
+      backgroundColor: "rgba( 0, 0, 0, 0.7 )",
+      position: "absolute",
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0,
+      alignItems: "center",
+      justifyContent: "center"
+    },
+    countdown: {
+      backgroundColor: "transparent",
+      color: theme.secondaryColor,
+      fontSize: theme.smallFontSize,
+      fontFamily: theme.fontFamily
+    },
+    title: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.largeFontSize,
+      fontFamily: theme.fontFamily,
+      marginTop: 8,
+      marginLeft: 40,
+      marginRight: 40,
+      textAlign: "center"
+    },
+    button: {
+      backgroundColor: "transparent",
+      color: theme.primaryColor,
+      fontSize: theme.fontSize,
+      fontFamily: theme.fontFamily,
+      fontWeight: "bold"
+    }
+  },
+  quizPoints: {
+    wrapper: {
+      position: "absolute",
+      top: 0,
+      right: 0,
+      left: 0,
+      height: 28
+    },
+    marker: {
+      position: "absolute",
+      top: 10,
+      marginLeft: -4
     },
     point: {
       width: 8,
       height: 8,
       borderRadius: 4,
-      marginHorizontal: -4,
-      backgroundColor: "#CACACA"
+      backgroundColor: theme.secondaryColor
+    },
+    pending: {
+      backgroundColor: theme.secondaryColor
+    },
+    answered: {
+      backgroundColor: "#4A90E2"
+    },
+    correct: {
+      backgroundColor: "#7ED321"
+    },
+    incorrect: {
+      backgroundColor: "#f27474"
+    },
+    tooltip: {
+      position: "absolute",
+      bottom: 12,
+      left: -36,
+      width: 80,
+      alignItems: "center"
+    },
+    tooltipText: {
+      backgroundColor: "rgba( 0, 0, 0, 0.7 )",
+      borderRadius: 3,
+      color: theme.primaryColor,
+      fontSize: 10,
+      fontFamily: theme.fontFamily,
+      paddingHorizontal: 4,
+      paddingVertical: 2,
+      overflow: "hidden"
+    },
+    overlay: {
+      position: "absolute",
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0
     }
-  })
-};
+  }
+});
+
+/**
+ * Create the style sheets for a theme. The theme's colours,
+ * sizes and fonts are applied first, then any keys named
+ * after a sheet (controls, seekbar...) are deep merged
+ * over the result.
+ *
+ * @param {object} theme theme overrides
+ * @return {object} style sheets
+ */
+export function createStyles(theme = {}) {
+  const sheets = _.merge(
+    buildStyles(_.assign({}, defaultTheme, theme)),
+    _.pickBy(theme, _.isPlainObject)
+  );
+
+  return _.mapValues(sheets, sheet => StyleSheet.create(sheet));
+}
+
+export default createStyles();
@@ -0,0 +1,109 @@
+import { parseCaptions } from "./captions";
+
+/**
+ * Parse a WebVTT thumbnails track. Each cue's text is the
+ * image of that stretch of video, usually a tile of a
+ * sprite sheet picked out with a #xywh= fragment.
+ * Relative image urls are resolved against
+ * the url of the track.
+ *
+ * @param {string} text the WebVTT file contents
+ * @param {string} baseUrl url the track was loaded from
+ * @return {array} thumbnails as { start, end, uri, x, y, width, height }
+ */
+export function parseThumbnails(text = "", baseUrl = "") {
+  return parseCaptions(text)
+    .map(cue => {
+      const [url, fragment = ""] = cue.spans
+        .map(span => span.text)
+        .join("")
+        .trim()
+        .split("#");
+      const xywh = fragment.match(/xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)/);
+
+      return {
+        start: cue.start,
+        end: cue.end,
+        uri: resolveUrl(url, baseUrl),
+        x: xywh ? Number(xywh[1]) : 0,
+        y: xywh ? Number(xywh[2]) : 0,
+        width: xywh ? Number(xywh[3]) : null,
+        height: xywh ? Number(xywh[4]) : null
+      };
+    })
+    .filter(thumbnail => thumbnail.uri);
+}
+
+/**
+ * Lay out thumbnails from sprite sheets described as a grid.
+ * Tiles run left to right, top to bottom, one every
+ * interval seconds and carry on into the next
+ * sheet once one is full.
+ *
+ * @param {object} sprite { uri, columns, rows, width, height, interval }
+ * @return {array} thumbnails, which also know the size of their sheet
+ */
+export function createSpriteThumbnails({
+  uri,
+  columns = 1,
+  rows = 1,
+  width,
+  height,
+  interval = 1
+} = {}) {
+  const sheets = Array.isArray(uri) ? uri : [uri];
+  const thumbnails = [];
+
+  sheets.forEach((sheet, sheetIndex) => {
+    for (let index = 0; index < columns * rows; index++) {
+      const start = (sheetIndex * columns * rows + index) * interval;
+      thumbnails.push({
+        start,
+        end: start + interval,
+        uri: sheet,
+        x: (index % columns) * width,
+        y: Math.floor(index / columns) * height,
+        width,
+        height,
+        sheetWidth: columns * width,
+        sheetHeight: rows * height
+      });
+    }
+  });
+
+  return thumbnails;
+}
+
+/**
+ * Find the thumbnail for a given time.
+ *
+ * @param {array} thumbnails thumbnails from either parser
+ * @param {float} time time in seconds
+ * @return {object} the thumbnail or null
+ */
+export function findThumbnail(thumbnails = [], time = 0) {
+  return (
+    thumbnails.find(
+      thumbnail => thumbnail.start <= time && time < thumbnail.end
+    ) || null
+  );
+}
+
+/**
+ * Resolve a relative url against the url of the
+ * file it came from.
+ *
+ * @param {string} url the url to resolve
+ * @param {string} baseUrl url of the file it came from
+ * @return {string} the absolute url
+ */
+function resolveUrl(url = "", baseUrl = "") {
+  if (!url || !baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+    return url;
+  }
+  if (url[0] === "/") {
+    const origin = baseUrl.match(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i);
+    return origin ? origin[0] + url : url;
+  }
+  return baseUrl.replace(/[?#].*$/, "").replace(/[^/]*$/, "") + url;
+}